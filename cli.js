@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+// Runs one stage of the brief pipeline from a shell or cron, without the server.
+//
+//   node cli.js discover [--source id]                  raw articles from the sources, as JSON
+//   node cli.js filter [articles.json]                  the articles that survive filtering
+//   node cli.js rank [articles.json]                    articles grouped into ranked stories
+//   node cli.js render [brief.json] [--format text]     a saved brief as HTML or text
+//   node cli.js send [brief.json] --to someone@example.com
+//   node cli.js sources check [--source id]             fetch every source and report on it
+//
+// Every command takes --since (24h, 90m, 2d, 1w or an ISO time; by default the edition's
+// lookback), --config (a config directory in place of config/) and --out (a file in place of
+// stdout), plus --edition (daily by default). filter and rank read the previous stage's JSON from
+// the file given or from stdin, so `discover | filter | rank` works; with neither they run the
+// earlier stages themselves. render and send take a brief or an archive record, or else the
+// newest archived brief since --since. Progress goes to stderr so stdout stays valid JSON.
+// Nothing is written to the data directory except the fetch caches.
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = 'Usage: node cli.js discover | filter [file] | rank [file] | render [file] | send [file] --to email | sources check\n' +
+  '  [--since 24h|2d|ISO time] [--config dir] [--out file] [--edition id] [--source id] [--format html|text] [--template name]';
+const COMMANDS = ['discover', 'filter', 'rank', 'render', 'send', 'sources'];
+const SINCE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const FORMATS = ['html', 'text'];
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = { command, subcommand: null, file: null, since: null, config: null, out: null, edition: undefined, source: null, format: 'html', template: null, to: null };
+  if (command === 'sources') args.subcommand = rest.shift();
+
+  const value = (arg, index) => {
+    if (index >= rest.length || rest[index].startsWith('--')) throw new Error(`${arg} needs a value`);
+    return rest[index];
+  };
+  for (let index = 0; index < rest.length; index++) {
+    const arg = rest[index];
+    if (arg === '--since') args.since = value(arg, ++index);
+    else if (arg === '--config') args.config = path.resolve(value(arg, ++index));
+    else if (arg === '--out') args.out = path.resolve(value(arg, ++index));
+    else if (arg === '--edition') args.edition = value(arg, ++index);
+    else if (arg === '--source') args.source = value(arg, ++index);
+    else if (arg === '--format') args.format = value(arg, ++index);
+    else if (arg === '--template') args.template = value(arg, ++index);
+    else if (arg === '--to') args.to = value(arg, ++index);
+    else if ((arg === '-' || !arg.startsWith('-')) && !args.file) args.file = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  if (!COMMANDS.includes(command)) throw new Error(USAGE);
+  if (command === 'sources' && args.subcommand !== 'check') throw new Error('Usage: node cli.js sources check [--source id]');
+  if (!FORMATS.includes(args.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  return args;
+}
+
+// "24h", "90m", "2d" and "1w" count back from now; anything else must be a date or time
+function parseSince(value, now = Date.now()) {
+  const relative = /^(\d+)([mhdw])$/.exec(value);
+  const time = relative ? now - parseInt(relative[1], 10) * SINCE_UNITS[relative[2]] : Date.parse(value);
+  if (Number.isNaN(time) || time > now) throw new Error('--since must be a duration like 24h or 2d, or a past date');
+  return new Date(time);
+}
+
+// The lookback window every stage works to: --since, or else the edition's
+function resolveWindow(args, edition) {
+  const since = args.since ? parseSince(args.since) : new Date(Date.now() - edition.lookbackHours * 60 * 60 * 1000);
+  return { since, lookbackHours: (Date.now() - since.getTime()) / (60 * 60 * 1000) };
+}
+
+// JSON from the file argument or from stdin; null when there is neither, so the caller runs the
+// earlier stages instead
+async function readInput(args) {
+  if (args.file && args.file !== '-') return JSON.parse(await fs.promises.readFile(args.file, 'utf8'));
+  if (!args.file && process.stdin.isTTY) return null;
+
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (!text) {
+    if (args.file === '-') throw new Error('Nothing on stdin');
+    return null;
+  }
+  return JSON.parse(text);
+}
+
+async function writeOutput(args, output) {
+  const text = typeof output === 'string' ? output : JSON.stringify(output, null, 2) + '\n';
+  if (args.out) {
+    await fs.promises.mkdir(path.dirname(args.out), { recursive: true });
+    await fs.promises.writeFile(args.out, text);
+    console.error(`Wrote ${args.out}`);
+  } else {
+    await new Promise((resolve, reject) => process.stdout.write(text, error => (error ? reject(error) : resolve())));
+  }
+}
+
+function articleList(input, stage) {
+  if (!Array.isArray(input)) throw new Error(`${stage} expects a JSON array of articles`);
+  return input;
+}
+
+async function discover(context) {
+  const { discoverArticles, fetchSource, resolveArticles } = require('./src/newsProcessor');
+  const sourceConfig = require('./src/sourceConfig');
+  const fetcher = require('./src/fetcher');
+
+  let discovered;
+  if (context.args.source) {
+    const source = sourceConfig.getSource(context.args.source);
+    if (!source) throw new Error(`Unknown source "${context.args.source}"`);
+    discovered = await fetchSource(source);
+    await fetcher.saveHttpCache();
+    console.log(`Found ${discovered.length} articles from ${source.name}`);
+  } else {
+    discovered = await discoverArticles();
+  }
+
+  const articles = await resolveArticles(discovered, { lookbackHours: context.lookbackHours });
+  // Undated articles stay in, as they do in the pipeline
+  return articles.filter(article => !article.publishedAt || new Date(article.publishedAt) >= context.since);
+}
+
+async function filter(context, input) {
+  const { filterAndDeduplicate } = require('./src/newsProcessor');
+  const articles = input ? articleList(input, 'filter') : await discover(context);
+  const { filtered, dropped } = await filterAndDeduplicate(articles, {
+    dryRun: true,
+    lookbackHours: context.lookbackHours,
+    includeBriefed: context.edition.includeArchive
+  });
+
+  const byReason = {};
+  dropped.forEach(({ reason }) => { byReason[reason] = (byReason[reason] || 0) + 1; });
+  const reasons = Object.entries(byReason).map(([reason, count]) => `${count} ${reason}`).join(', ');
+  console.log(`Kept ${filtered.length} of ${articles.length} articles${reasons ? ` (dropped ${reasons})` : ''}`);
+  return filtered;
+}
+
+async function rank(context, input) {
+  const { rankStories } = require('./src/ranking');
+  const { clusterArticles } = require('./src/clustering');
+  const editorialRules = require('./src/editorialRules');
+  const articles = input ? articleList(input, 'rank') : await filter(context, null);
+
+  const stories = editorialRules.applyPins(rankStories(clusterArticles(articles)), await editorialRules.listRules());
+  console.log(`Grouped ${articles.length} articles into ${stories.length} stories`);
+  return stories;
+}
+
+// A brief from the input, or the newest one archived since --since
+async function loadBrief(context, input) {
+  if (input) {
+    const briefData = input.briefData || input;
+    if (!Array.isArray(briefData.topStories)) throw new Error('Expected brief data or an archive record with topStories');
+    return briefData;
+  }
+
+  const briefArchive = require('./src/briefArchive');
+  const [record] = await briefArchive.getBriefsSince(context.since.toISOString(), { editions: [context.edition.id] });
+  if (!record) throw new Error(`No ${context.edition.id} brief archived since ${context.since.toISOString()}`);
+  console.log(`Using the ${record.edition || context.edition.id} brief generated ${record.generatedAt}`);
+  return record.briefData;
+}
+
+async function render(context, input) {
+  const { generateEmailHTML, generateEmailText } = require('./src/emailSender');
+  const briefData = await loadBrief(context, input);
+  const options = { template: context.args.template || context.edition.template || undefined };
+  return context.args.format === 'text' ? generateEmailText(briefData, options) : generateEmailHTML(briefData, options);
+}
+
+// Sends to one address only; the scheduled jobs and the server are what mail the subscriber list.
+// Exits with 1 if nothing went out, e.g. the address belongs to an alerts-only subscriber.
+async function send(context, input) {
+  const { sendEmail } = require('./src/emailSender');
+  const to = (context.args.to || process.env.EMAIL_TO || '').trim();
+  if (!to) throw new Error('Give the address to send to with --to (or set EMAIL_TO)');
+  if (/[,;]/.test(to)) throw new Error(`send mails one address, not a list ("${to}"); give a single address with --to`);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) throw new Error(`"${to}" is not an email address`);
+
+  const briefData = await loadBrief(context, input);
+  const result = await sendEmail(briefData, { to, template: context.args.template || context.edition.template || undefined });
+  const [delivery] = result.results;
+  if (result.sent > 0) {
+    console.log(`Sent to ${to}`);
+  } else {
+    console.log(delivery && delivery.skipped
+      ? `Not sent: ${to} only gets alert emails and this brief has none`
+      : `Not sent to ${to}${delivery && delivery.error ? `: ${delivery.error}` : ''}`);
+    process.exitCode = 1;
+  }
+  return result;
+}
+
+// Fetches every enabled source (or just --source) and reports how many articles each returned,
+// how many are inside the window and how long it took. Exits with 1 if any source failed.
+async function checkSources(context) {
+  const { fetchSource } = require('./src/newsProcessor');
+  const sourceConfig = require('./src/sourceConfig');
+  const fetcher = require('./src/fetcher');
+
+  let sources = sourceConfig.getSources({ enabledOnly: true });
+  if (context.args.source) {
+    const source = sourceConfig.getSource(context.args.source);
+    if (!source) throw new Error(`Unknown source "${context.args.source}"`);
+    sources = [source];
+  }
+
+  const { results } = await fetcher.mapWithConcurrency(sources, async (source, signal) => {
+    const started = Date.now();
+    try {
+      const articles = await fetchSource(source, { signal });
+      const dates = articles.map(article => Date.parse(article.publishedAt)).filter(time => !Number.isNaN(time)).sort((a, b) => a - b);
+      return {
+        id: source.id,
+        name: source.name,
+        type: source.type,
+        ok: true,
+        articles: articles.length,
+        recent: articles.filter(article => !article.publishedAt || new Date(article.publishedAt) >= context.since).length,
+        newest: dates.length > 0 ? new Date(dates[dates.length - 1]).toISOString() : null,
+        ms: Date.now() - started
+      };
+    } catch (error) {
+      return { id: source.id, name: source.name, type: source.type, ok: false, error: error.message, ms: Date.now() - started };
+    }
+  });
+  await fetcher.saveHttpCache();
+
+  // Back in configured order; results arrive as sources finish
+  const report = sources.map(source => results.find(result => result.item === source).value);
+  for (const entry of report) {
+    console.log(entry.ok
+      ? `ok    ${entry.id}: ${entry.articles} articles, ${entry.recent} since ${context.since.toISOString()} (${entry.ms}ms)`
+      : `FAIL  ${entry.id}: ${entry.error} (${entry.ms}ms)`);
+  }
+  const failed = report.filter(entry => !entry.ok).length;
+  console.log(`${report.length - failed} of ${report.length} sources fetched`);
+  if (failed > 0) process.exitCode = 1;
+  return { since: context.since.toISOString(), sources: report };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // Set before anything under src/ loads, since modules read it when they are first required
+  if (args.config) process.env.CONFIG_DIR = args.config;
+  require('dotenv').config();
+  // The pipeline logs its progress with console.log; keep that out of the JSON on stdout
+  console.log = console.error;
+
+  const editions = require('./src/editions');
+  const edition = editions.getEdition(args.edition);
+  const context = { args, edition, ...resolveWindow(args, edition) };
+
+  let output;
+  if (args.command === 'discover') output = await discover(context);
+  else if (args.command === 'sources') output = await checkSources(context);
+  else {
+    const input = await readInput(args);
+    if (args.command === 'filter') output = await filter(context, input);
+    else if (args.command === 'rank') output = await rank(context, input);
+    else if (args.command === 'render') output = await render(context, input);
+    else output = await send(context, input);
+  }
+  await writeOutput(args, output);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
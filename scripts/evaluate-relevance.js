@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Scores the labelled articles in fixtures/relevance.json with the relevance rules and prints
+// precision and recall, plus every article the rules got wrong and why.
+//
+//   npm run evaluate-relevance
+//   npm run evaluate-relevance -- --rules my-relevance.json --fixtures more-fixtures.json --verbose
+const fs = require('fs');
+const path = require('path');
+const relevance = require('../src/relevance');
+
+function parseArgs(argv) {
+  const args = { rules: null, fixtures: path.join(__dirname, '..', 'fixtures', 'relevance.json'), verbose: false };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '--rules') args.rules = argv[++index];
+    else if (arg === '--fixtures') args.fixtures = argv[++index];
+    else if (arg === '--verbose') args.verbose = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const fixtures = JSON.parse(fs.readFileSync(args.fixtures, 'utf8'));
+  // --rules tries a candidate config without touching config/relevance.json
+  const rules = args.rules ? relevance.loadRules(args.rules) : undefined;
+
+  const counts = { truePositive: 0, falsePositive: 0, falseNegative: 0, trueNegative: 0 };
+  const mistakes = [];
+  for (const fixture of fixtures) {
+    const result = relevance.classify(fixture, rules);
+    if (result.relevant && fixture.relevant) counts.truePositive++;
+    else if (result.relevant) counts.falsePositive++;
+    else if (fixture.relevant) counts.falseNegative++;
+    else counts.trueNegative++;
+
+    if (result.relevant !== fixture.relevant || args.verbose) mistakes.push({ fixture, result });
+  }
+
+  const precision = ratio(counts.truePositive, counts.truePositive + counts.falsePositive);
+  const recall = ratio(counts.truePositive, counts.truePositive + counts.falseNegative);
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+  console.log(`Evaluated ${fixtures.length} labelled articles from ${path.relative(process.cwd(), args.fixtures)}`);
+  console.log(`  true positives  ${counts.truePositive}    false positives ${counts.falsePositive}`);
+  console.log(`  false negatives ${counts.falseNegative}    true negatives  ${counts.trueNegative}`);
+  console.log(`  precision ${percent(precision)}  recall ${percent(recall)}  F1 ${percent(f1)}`);
+
+  for (const { fixture, result } of mistakes) {
+    const verdict = result.relevant === fixture.relevant ? 'ok' : fixture.relevant ? 'MISSED' : 'WRONGLY KEPT';
+    console.log(`\n[${verdict}] ${fixture.title}`);
+    console.log(`  ${result.relevant ? 'kept' : `rejected (${result.reason}${result.detail ? `: ${result.detail}` : ''})`}, score ${result.score}`);
+    for (const entry of result.explanation) {
+      console.log(`    ${entry.rule}${entry.points === null ? '' : ` ${entry.points > 0 ? '+' : ''}${entry.points}`}`);
+    }
+  }
+}
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? 0 : numerator / denominator;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// Records brief runs to snapshots and replays them offline (see src/snapshots.js).
+//
+//   npm run snapshot -- list
+//   npm run snapshot -- record [--edition daily]
+//   npm run snapshot -- replay <id> [--out dir] [--current-config] [--summarizer extractive]
+//
+// `record` makes a dry run that fetches live and saves every response. `replay` runs the whole
+// pipeline again as a dry run from the snapshot's responses, config and data, with the clock
+// frozen at the time it was recorded, and writes brief.json, brief.html and brief.txt to --out.
+// Replay twice with different code and diff the two directories.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = { command, id: null, edition: undefined, out: null, currentConfig: false, summarizer: 'extractive', child: null };
+  for (let index = 0; index < rest.length; index++) {
+    const arg = rest[index];
+    if (arg === '--edition') args.edition = rest[++index];
+    else if (arg === '--out') args.out = path.resolve(rest[++index]);
+    else if (arg === '--current-config') args.currentConfig = true;
+    else if (arg === '--summarizer') args.summarizer = rest[++index];
+    else if (arg === '--child') args.child = rest[++index];
+    else if (!arg.startsWith('--') && !args.id) args.id = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return args;
+}
+
+async function list() {
+  const snapshots = await require('../src/snapshots').listSnapshots();
+  if (snapshots.length === 0) console.log('No snapshots yet.');
+  for (const snapshot of snapshots) {
+    console.log(`${snapshot.id}  ${snapshot.responses} responses${snapshot.error ? `  failed: ${snapshot.error}` : ''}`);
+  }
+}
+
+async function record(args) {
+  const { generateDailyBrief } = require('../src/newsProcessor');
+  const editions = require('../src/editions');
+  const briefData = await generateDailyBrief({ dryRun: true, record: true, edition: editions.getEdition(args.edition) });
+  console.log(`Snapshot ${briefData.snapshot}: ${briefData.topStories.length} top stories`);
+}
+
+// The replay itself runs in a child process whose DATA_DIR is a scratch copy of the snapshot's
+// data, so nothing the pipeline writes reaches the real data directory
+async function replay(args) {
+  if (!args.id) throw new Error('Give the snapshot id to replay (npm run snapshot -- list)');
+  const snapshots = require('../src/snapshots');
+  const dir = snapshots.snapshotDir(args.id);
+  if (!fs.existsSync(path.join(dir, 'manifest.json'))) throw new Error(`Snapshot ${args.id} not found`);
+
+  const out = args.out || path.join(os.tmpdir(), `replay-${args.id}`);
+  const scratch = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'snapshot-replay-'));
+  try {
+    await fs.promises.cp(path.join(dir, 'state'), scratch, { recursive: true });
+    const code = await new Promise((resolve, reject) => {
+      const child = fork(__filename, ['replay', args.id, '--child', dir, '--out', out], {
+        env: {
+          ...process.env,
+          DATA_DIR: scratch,
+          CONFIG_DIR: args.currentConfig ? process.env.CONFIG_DIR || path.join(__dirname, '..', 'config') : path.join(dir, 'config'),
+          SUMMARIZER: args.summarizer,
+          ALERT_POLL_MINUTES: '0'
+        }
+      });
+      child.on('error', reject);
+      child.on('exit', resolve);
+    });
+    process.exitCode = code;
+  } finally {
+    await fs.promises.rm(scratch, { recursive: true, force: true });
+  }
+}
+
+async function replayInChild(args) {
+  const snapshots = require('../src/snapshots');
+  const snapshot = await snapshots.openReplay(args.id, args.child);
+  snapshots.freezeClock(snapshot.recordedAt);
+
+  const { generateDailyBrief } = require('../src/newsProcessor');
+  const { generateEmailHTML, generateEmailText } = require('../src/emailSender');
+  const editions = require('../src/editions');
+  const edition = editions.getEdition(snapshot.manifest.edition);
+
+  const briefData = await generateDailyBrief({ dryRun: true, edition, replay: snapshot });
+  const options = { template: edition.template || undefined };
+  await fs.promises.mkdir(args.out, { recursive: true });
+  await fs.promises.writeFile(path.join(args.out, 'brief.json'), JSON.stringify(briefData, null, 2));
+  await fs.promises.writeFile(path.join(args.out, 'brief.html'), generateEmailHTML(briefData, options));
+  await fs.promises.writeFile(path.join(args.out, 'brief.txt'), generateEmailText(briefData, options));
+
+  console.log(`\nReplayed ${snapshot.id} as of ${snapshot.recordedAt} into ${args.out}`);
+  const recorded = readRecordedBrief(args.child);
+  if (recorded) {
+    const same = sameIds(recorded.topStories, briefData.topStories) && sameIds(recorded.alsoNoted, briefData.alsoNoted);
+    console.log(same
+      ? 'Same top and also-noted stories, in the same order, as the recorded run'
+      : `Stories differ from the recorded run (compare with ${path.join(args.child, 'brief.json')})`);
+  }
+}
+
+function readRecordedBrief(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'brief.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function sameIds(a, b) {
+  return a.map(story => story.id).join() === b.map(story => story.id).join();
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.command === 'list') return list();
+  if (args.command === 'record') return record(args);
+  if (args.command === 'replay') return args.child ? replayInChild(args) : replay(args);
+  throw new Error('Usage: snapshot list | record [--edition id] | replay <id> [--out dir] [--current-config] [--summarizer name]');
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -1,73 +1,779 @@
 require('dotenv').config();
 const express = require('express');
 const cron = require('node-cron');
-const { generateDailyBrief } = require('./src/newsProcessor');
-const { sendEmail } = require('./src/emailSender');
+const { generateDailyBrief, fetchSource, filterAndDeduplicate } = require('./src/newsProcessor');
+const jobRunner = require('./src/jobRunner');
+const { sendEmail, findRecipient, generateEmailHTML, generateEmailText, generatePreviewHTML } = require('./src/emailSender');
+const briefArchive = require('./src/briefArchive');
+const subscribers = require('./src/subscribers');
+const sourceConfig = require('./src/sourceConfig');
+const { checkForAlerts } = require('./src/alertWatcher');
+const editions = require('./src/editions');
+const { buildFeed } = require('./src/feeds');
+const channels = require('./src/channels');
+const entities = require('./src/entities');
+const relevance = require('./src/relevance');
+const drafts = require('./src/drafts');
+const editorialRules = require('./src/editorialRules');
+const { renderReviewPage } = require('./src/reviewPage');
+const { escapeHtml } = require('./src/renderer');
+const events = require('./src/events');
+const { buildCalendar } = require('./src/calendar');
+const analytics = require('./src/analytics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const ALERT_POLL_MINUTES = parseAlertPollMinutes(process.env.ALERT_POLL_MINUTES);
 
 app.use(express.json());
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  const lastRun = await jobRunner.getLastRun().catch(error => ({ status: 'unknown', error: error.message }));
+  const schedule = editions.getEditions({ enabledOnly: true }).map(edition => ({
+    edition: edition.id,
+    cron: edition.cron,
+    timezone: edition.timezone,
+    nextRun: editions.nextRunTime(edition)
+  }));
+  
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    nextRun: getNextRunTime() 
+    nextRun: schedule.map(entry => entry.nextRun).sort()[0] || null,
+    editions: schedule,
+    lastRun: lastRun && summarizeRun(lastRun)
   });
 });
 
+// Preview the next brief without sending it or touching the article history
+app.get('/preview', async (req, res) => {
+  try {
+    console.log('Preview requested...');
+    const edition = editions.getEdition(req.query.edition);
+    const briefData = await generateDailyBrief({ dryRun: true, edition });
+    sendPreview(res, briefData, req.query.format, req.query.template || edition.template);
+  } catch (error) {
+    console.error('Preview failed:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // Manual trigger endpoint
 app.post('/trigger-brief', async (req, res) => {
   try {
+    const body = req.body || {};
+    const editionId = req.query.edition || body.edition;
+    
+    if (isTruthy(req.query.dryRun) || isTruthy(body.dryRun)) {
+      console.log('Manual dry run initiated...');
+      const edition = editions.getEdition(editionId);
+      const briefData = await generateDailyBrief({ dryRun: true, edition, record: isTruthy(req.query.record) || isTruthy(body.record) });
+      return sendPreview(res, briefData, req.query.format || body.format || 'json', req.query.template || body.template || edition.template);
+    }
+    
     console.log('Manual trigger initiated...');
-    const briefData = await generateDailyBrief();
-    const emailResult = await sendEmail(briefData);
+    const review = body.review !== undefined ? isTruthy(body.review) : undefined;
+    const record = body.record !== undefined ? isTruthy(body.record) : undefined;
+    const { run, briefData } = await jobRunner.runBrief({ trigger: 'manual', edition: editionId, template: body.template, review, record });
+    
+    if (run.status === 'awaiting-approval') {
+      return res.status(202).json({
+        success: true,
+        message: 'Brief saved as a draft for review',
+        runId: run.id,
+        draftId: run.draft.id,
+        deadline: run.draft.deadline,
+        articles: briefData.topStories.length
+      });
+    }
+    
+    if (run.status !== 'succeeded') {
+      return res.status(502).json({
+        success: false,
+        error: run.errors[run.errors.length - 1].message,
+        runId: run.id,
+        status: run.status,
+        nextRetryAt: run.nextRetryAt || null
+      });
+    }
     
     res.json({ 
       success: true, 
       message: 'Brief sent successfully',
+      runId: run.id,
       articles: briefData.topStories.length,
-      emailId: emailResult.messageId
+      emailId: run.messageId,
+      recipients: run.counts.sent
     });
   } catch (error) {
     console.error('Manual trigger failed:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false, 
       error: error.message 
     });
   }
 });
 
-// Schedule daily brief at 8 AM Pacific Time (3 PM UTC)
-cron.schedule('0 15 * * *', async () => {
-  console.log('Starting scheduled daily brief generation...');
+// Run history
+app.get('/runs', async (req, res) => {
   try {
-    const briefData = await generateDailyBrief();
-    const emailResult = await sendEmail(briefData);
-    console.log('Daily brief sent successfully:', emailResult.messageId);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const runs = await jobRunner.listRuns({ limit });
+    res.json({ runs: runs.map(summarizeRun) });
   } catch (error) {
-    console.error('Scheduled brief failed:', error);
+    console.error('Listing runs failed:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-}, {
-  scheduled: true,
-  timezone: "America/Los_Angeles"
 });
 
-function getNextRunTime() {
-  const now = new Date();
-  const nextRun = new Date();
-  nextRun.setHours(8, 0, 0, 0);
-  
-  if (nextRun <= now) {
-    nextRun.setDate(nextRun.getDate() + 1);
+app.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await jobRunner.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Loading run failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run one breaking-news check now instead of waiting for the next poll
+app.post('/trigger-alerts', async (req, res) => {
+  try {
+    const outcome = await checkForAlerts();
+    if (!outcome) {
+      return res.status(409).json({ success: false, error: 'An alert check is already running' });
+    }
+    res.json({ success: true, ...outcome });
+  } catch (error) {
+    console.error('Alert check failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Brief archive
+app.get('/briefs', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    res.json(await briefArchive.listBriefs({ page, limit }));
+  } catch (error) {
+    console.error('Listing briefs failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/briefs/:date(\\d{4}-\\d{2}-\\d{2}).json', async (req, res) => {
+  try {
+    const record = await briefArchive.getBrief(req.params.date, req.query.edition);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Brief not found' });
+    }
+    
+    const { html, ...data } = record;
+    res.json(data);
+  } catch (error) {
+    console.error('Loading brief failed:', error.status ? error.message : error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/briefs/:date(\\d{4}-\\d{2}-\\d{2})', async (req, res) => {
+  try {
+    const record = await briefArchive.getBrief(req.params.date, req.query.edition);
+    if (!record) {
+      return res.status(404).send('Brief not found');
+    }
+    
+    // ?template= re-renders the archived data with another layout instead of showing what was sent
+    const html = req.query.template || !record.html
+      ? generateEmailHTML(record.briefData, { template: req.query.template })
+      : record.html;
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Loading brief failed:', error.status ? error.message : error);
+    res.status(error.status || 500).type('text').send(error.status ? error.message : 'Error loading brief');
+  }
+});
+
+app.post('/briefs/:date(\\d{4}-\\d{2}-\\d{2})/resend', requireAdmin, async (req, res) => {
+  try {
+    const edition = req.query.edition || 'daily';
+    const record = await briefArchive.getBrief(req.params.date, edition);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Brief not found' });
+    }
+    
+    // Optionally resend to a single subscriber, e.g. one whose copy bounced
+    const { to, template } = req.body || {};
+    let recipients;
+    if (to !== undefined) {
+      if (!subscribers.isValidEmail(typeof to === 'string' ? to.trim() : to)) {
+        return res.status(400).json({ success: false, error: 'to must be a single email address' });
+      }
+      const recipient = await findRecipient(to.trim());
+      if (!recipient) {
+        return res.status(404).json({ success: false, error: `${to.trim()} is not a subscriber` });
+      }
+      recipients = [recipient];
+    }
+    
+    console.log(`Resending ${edition} brief for ${record.date}${recipients ? ` to ${recipients[0].email}` : ''}...`);
+    const emailResult = await sendEmail(record.briefData, { recipients, template });
+    await briefArchive.recordDelivery(record.date, edition, { ...summarizeDelivery(emailResult), resend: true });
+    
+    res.json({ 
+      success: true, 
+      message: 'Brief resent successfully',
+      emailId: emailResult.messageId,
+      recipients: emailResult.sent
+    });
+  } catch (error) {
+    console.error('Resend failed:', error.status ? error.message : error);
+    res.status(error.status || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Operators, parks and venues stories are tagged with
+app.get('/entities', (req, res) => {
+  try {
+    res.json({ entities: entities.getEntities() });
+  } catch (error) {
+    console.error('Listing entities failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Recent archived stories about one entity; an operator's list includes its parks' stories
+app.get('/entities/:slug', async (req, res) => {
+  try {
+    const entity = entities.getEntity(req.params.slug);
+    if (!entity) {
+      return res.status(404).json({ success: false, error: 'Entity not found' });
+    }
+    
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const members = entities.getEntities().filter(other => other.operator === entity.slug);
+    res.json({
+      entity,
+      ...(entity.type === 'operator' && { parks: members.map(({ slug, name, type, location }) => ({ slug, name, type, location })) }),
+      days,
+      stories: await entities.getRecentStories(entity.slug, { days })
+    });
+  } catch (error) {
+    console.error(`Loading entity ${req.params.slug} failed:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Feeds of recent briefs and their top stories. Express answers If-None-Match and
+// If-Modified-Since with a 304 from the ETag and Last-Modified headers.
+app.get('/feed.:format(rss|atom|json)', async (req, res) => {
+  try {
+    const feed = await buildFeed(req.params.format, { edition: req.query.edition, type: req.query.type });
+    if (feed.lastModified) {
+      res.set('Last-Modified', feed.lastModified.toUTCString());
+    }
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type(feed.contentType).send(feed.body);
+  } catch (error) {
+    console.error('Building feed failed:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Upcoming dated events (openings, festivals, closures, earnings calls) found in articles
+app.get('/events', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 365);
+    res.json({ days, events: await events.getUpcoming({ days }) });
+  } catch (error) {
+    console.error('Listing events failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The same events as a calendar to subscribe to; ?type=opening,closure limits the event types
+app.get('/calendar.ics', async (req, res) => {
+  try {
+    const types = req.query.type ? String(req.query.type).split(',').map(type => type.trim()) : null;
+    const calendar = await buildCalendar({ types });
+    if (calendar.lastModified) {
+      res.set('Last-Modified', calendar.lastModified.toUTCString());
+    }
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type(calendar.contentType).send(calendar.body);
+  } catch (error) {
+    console.error('Building calendar failed:', error.status ? error.message : error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Daily article counts by category, source, significance, entity and headline term.
+// ?from=&to= (YYYY-MM-DD, default the last 30 days), ?dimension= and ?format=csv
+app.get('/analytics', async (req, res) => {
+  try {
+    const result = await analytics.getAnalytics({
+      from: req.query.from ? String(req.query.from) : null,
+      to: req.query.to ? String(req.query.to) : null,
+      dimension: req.query.dimension || null,
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 1000)
+    });
+    
+    if (req.query.format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="analytics-${result.from}-to-${result.to}.csv"`);
+      return res.type('text/csv; charset=utf-8').send(analytics.toCsv(result));
+    }
+    res.json({ ...result, trending: await analytics.getTrending() });
+  } catch (error) {
+    console.error('Loading analytics failed:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Unsubscribe links from the email footer only show a confirmation button, since mail scanners
+// and link prefetchers follow every GET. The POST it makes is the same request as a
+// List-Unsubscribe one-click (RFC 8058).
+app.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const subscriber = await subscribers.findByUnsubscribeToken(req.params.token);
+    if (!subscriber) {
+      return res.status(404).send('This unsubscribe link is no longer valid.');
+    }
+    res.send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Unsubscribe</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px;">
+<p>Stop sending the Theme Park News Brief to ${escapeHtml(subscriber.email)}?</p>
+<form method="post"><button type="submit">Unsubscribe</button></form>
+</body></html>`);
+  } catch (error) {
+    console.error('Loading unsubscribe page failed:', error);
+    res.status(500).send('Something went wrong. Please try again later.');
+  }
+});
+
+app.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const subscriber = await subscribers.unsubscribe(req.params.token);
+    if (!subscriber) {
+      return res.status(404).send('This unsubscribe link is no longer valid.');
+    }
+    res.send('You have been unsubscribed from the Theme Park News Brief.');
+  } catch (error) {
+    console.error('Unsubscribe failed:', error);
+    res.status(500).send('Something went wrong. Please try again later.');
+  }
+});
+
+// Subscriber administration
+app.get('/admin/subscribers', requireAdmin, async (req, res) => {
+  try {
+    res.json({ subscribers: await subscribers.listSubscribers() });
+  } catch (error) {
+    console.error('Listing subscribers failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/admin/subscribers', requireAdmin, async (req, res) => {
+  try {
+    const subscriber = await subscribers.addSubscriber(req.body);
+    res.status(201).json({ success: true, subscriber });
+  } catch (error) {
+    console.error('Adding subscriber failed:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/admin/subscribers/:id', requireAdmin, async (req, res) => {
+  try {
+    const subscriber = await subscribers.removeSubscriber(req.params.id);
+    if (!subscriber) {
+      return res.status(404).json({ success: false, error: 'Subscriber not found' });
+    }
+    res.json({ success: true, subscriber });
+  } catch (error) {
+    console.error('Removing subscriber failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Source administration
+app.get('/admin/sources', requireAdmin, (req, res) => {
+  try {
+    res.json({ sources: sourceConfig.getSources() });
+  } catch (error) {
+    console.error('Listing sources failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/admin/sources', requireAdmin, async (req, res) => {
+  try {
+    const source = await sourceConfig.addSource(req.body);
+    res.status(201).json({ success: true, source });
+  } catch (error) {
+    console.error('Adding source failed:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message, details: error.details });
+  }
+});
+
+app.post('/admin/sources/:id/:action(enable|disable)', requireAdmin, async (req, res) => {
+  try {
+    const source = await sourceConfig.setSourceEnabled(req.params.id, req.params.action === 'enable');
+    if (!source) {
+      return res.status(404).json({ success: false, error: 'Source not found' });
+    }
+    res.json({ success: true, source });
+  } catch (error) {
+    console.error('Updating source failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fetch a source once and show what it would contribute, without recording anything
+app.post('/admin/sources/:id/test', requireAdmin, async (req, res) => {
+  const source = sourceConfig.getSource(req.params.id);
+  if (!source) {
+    return res.status(404).json({ success: false, error: 'Source not found' });
   }
   
-  return nextRun.toISOString();
+  try {
+    const articles = await fetchSource(source);
+    const { filtered, dropped } = await filterAndDeduplicate(articles, { dryRun: true });
+    res.json({ success: true, source, fetched: articles.length, articles: filtered, dropped });
+  } catch (error) {
+    console.error(`Testing source ${source.id} failed:`, error.message);
+    res.status(502).json({ success: false, source, error: error.message });
+  }
+});
+
+// Articles the relevance rules rejected in recent brief runs, newest first
+app.get('/admin/relevance/rejections', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    res.json({ rejections: await relevance.getRejections({ limit, reason: req.query.reason || null }) });
+  } catch (error) {
+    console.error('Listing relevance rejections failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Chat channel administration
+app.get('/admin/channels', requireAdmin, (req, res) => {
+  try {
+    // Webhook URLs are credentials, so only say whether one is configured
+    const list = channels.getChannels().map(({ url, ...channel }) => ({
+      ...channel,
+      configured: Boolean(url || process.env[channel.urlEnv])
+    }));
+    res.json({ channels: list });
+  } catch (error) {
+    console.error('Listing channels failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Post the latest archived brief (or, with { "kind": "alert" }, one of its stories as an alert)
+app.post('/admin/channels/:id/test', requireAdmin, async (req, res) => {
+  try {
+    const [record] = await briefArchive.getLatestBriefs({ limit: 1 });
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'No archived brief to post yet' });
+    }
+    
+    const kind = req.body && req.body.kind === 'alert' ? 'alert' : 'brief';
+    const { briefData } = record;
+    const data = kind === 'alert' ? (briefData.alerts || [])[0] || briefData.topStories[0] : briefData;
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'The latest brief has no stories to post' });
+    }
+    
+    const result = await channels.postToChannel(req.params.id, kind, data);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+    res.status(result.ok ? 200 : 502).json({ success: result.ok, result });
+  } catch (error) {
+    console.error(`Testing channel ${req.params.id} failed:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Editorial review. The page itself holds no data; it asks for the admin token and uses the
+// /admin/drafts routes below.
+app.get('/review', (req, res) => {
+  res.type('html').send(renderReviewPage());
+});
+
+app.get('/admin/drafts', requireAdmin, async (req, res) => {
+  try {
+    const list = await drafts.listDrafts({ status: req.query.status || null });
+    res.json({
+      drafts: list.map(draft => ({
+        id: draft.id,
+        edition: draft.edition,
+        status: draft.status,
+        createdAt: draft.createdAt,
+        deadline: draft.deadline,
+        topStories: draft.briefData.topStories.length,
+        changes: draft.changes.length
+      }))
+    });
+  } catch (error) {
+    console.error('Listing drafts failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/admin/drafts/:id', requireAdmin, async (req, res) => {
+  try {
+    const draft = await drafts.getDraft(req.params.id);
+    if (!draft) {
+      return res.status(404).json({ success: false, error: 'Draft not found' });
+    }
+    res.json(draft);
+  } catch (error) {
+    console.error('Loading draft failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The draft rendered as the email would look with the edits so far
+app.get('/admin/drafts/:id/preview', requireAdmin, async (req, res) => {
+  try {
+    const draft = await drafts.getDraft(req.params.id);
+    if (!draft) {
+      return res.status(404).json({ success: false, error: 'Draft not found' });
+    }
+    
+    const options = { template: req.query.template || editions.getEdition(draft.edition).template };
+    if (req.query.format === 'text') {
+      return res.type('text').send(generateEmailText(draft.briefData, options));
+    }
+    res.type('html').send(generateEmailHTML(draft.briefData, options));
+  } catch (error) {
+    console.error('Previewing draft failed:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/admin/drafts/:id', requireAdmin, (req, res) => {
+  editDraft(res, () => drafts.setSummary(req.params.id, (req.body || {}).summary));
+});
+
+app.put('/admin/drafts/:id/order', requireAdmin, (req, res) => {
+  editDraft(res, () => drafts.reorder(req.params.id, req.body || {}));
+});
+
+app.patch('/admin/drafts/:id/stories/:storyId', requireAdmin, (req, res) => {
+  editDraft(res, () => drafts.editStory(req.params.id, req.params.storyId, req.body || {}));
+});
+
+// { "always": true } also blocks the story's URL in future runs
+app.post('/admin/drafts/:id/stories/:storyId/remove', requireAdmin, (req, res) => {
+  editDraft(res, async () => {
+    const story = await findDraftStory(req.params.id, req.params.storyId);
+    const draft = await drafts.removeStory(req.params.id, req.params.storyId);
+    if (isTruthy((req.body || {}).always)) {
+      await editorialRules.addRule({ action: 'block', url: story.url, note: `Removed from draft ${draft.id}: ${story.title}` });
+    }
+    return draft;
+  });
+});
+
+// { "always": true } also pins the story's URL in future runs
+app.post('/admin/drafts/:id/stories/:storyId/pin', requireAdmin, (req, res) => {
+  editDraft(res, async () => {
+    const story = await findDraftStory(req.params.id, req.params.storyId);
+    const draft = await drafts.pinStory(req.params.id, req.params.storyId);
+    if (isTruthy((req.body || {}).always)) {
+      await editorialRules.addRule({ action: 'pin', url: story.url, note: `Pinned in draft ${draft.id}: ${story.title}` });
+    }
+    return draft;
+  });
+});
+
+app.post('/admin/drafts/:id/stories/:storyId/unpin', requireAdmin, (req, res) => {
+  editDraft(res, () => drafts.unpinStory(req.params.id, req.params.storyId));
+});
+
+app.post('/admin/drafts/:id/approve', requireAdmin, async (req, res) => {
+  try {
+    const { run } = await jobRunner.publishDraft(req.params.id, { by: 'editor' });
+    res.status(run.status === 'succeeded' ? 200 : 502).json({
+      success: run.status === 'succeeded',
+      runId: run.id,
+      status: run.status,
+      recipients: run.counts.sent,
+      ...(run.errors.length > 0 && { error: run.errors[run.errors.length - 1].message })
+    });
+  } catch (error) {
+    console.error(`Approving draft ${req.params.id} failed:`, error.status ? error.message : error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/admin/drafts/:id/discard', requireAdmin, async (req, res) => {
+  try {
+    const run = await jobRunner.discardDraft(req.params.id);
+    res.json({ success: true, runId: run.id, status: run.status });
+  } catch (error) {
+    console.error(`Discarding draft ${req.params.id} failed:`, error.status ? error.message : error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Standing block and pin rules applied to every run
+app.get('/admin/editorial-rules', requireAdmin, async (req, res) => {
+  try {
+    res.json({ rules: await editorialRules.listRules() });
+  } catch (error) {
+    console.error('Listing editorial rules failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/admin/editorial-rules', requireAdmin, async (req, res) => {
+  try {
+    const rule = await editorialRules.addRule(req.body);
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    console.error('Adding editorial rule failed:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message, details: error.details });
+  }
+});
+
+app.delete('/admin/editorial-rules/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!(await editorialRules.removeRule(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Removing editorial rule failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin routes require "Authorization: Bearer <ADMIN_TOKEN>"
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ success: false, error: 'Admin routes are disabled until ADMIN_TOKEN is set' });
+  }
+  if (req.get('Authorization') !== `Bearer ${adminToken}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  next();
+}
+
+// Runs one draft edit and answers with the updated draft
+async function editDraft(res, edit) {
+  try {
+    res.json({ success: true, draft: await edit() });
+  } catch (error) {
+    if (!error.status) console.error('Editing draft failed:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+}
+
+async function findDraftStory(draftId, storyId) {
+  const draft = await drafts.getDraft(draftId);
+  const { topStories = [], alsoNoted = [], alerts = [] } = draft ? draft.briefData : {};
+  return [...topStories, ...alsoNoted, ...alerts].find(story => story.id === storyId) || {};
+}
+
+function summarizeDelivery(emailResult) {
+  return {
+    messageIds: emailResult.messageIds,
+    sent: emailResult.sent,
+    failed: emailResult.failed,
+    skipped: emailResult.skipped
+  };
+}
+
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    edition: run.edition,
+    trigger: run.trigger,
+    status: run.status,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: run.durationMs,
+    counts: run.counts,
+    messageId: run.messageId,
+    nextRetryAt: run.nextRetryAt,
+    error: run.errors.length > 0 ? run.errors[run.errors.length - 1].message : undefined
+  };
+}
+
+function sendPreview(res, briefData, format = 'html', template) {
+  if (format === 'json') {
+    return res.json({ success: true, dryRun: true, briefData });
+  }
+  res.type('html').send(generatePreviewHTML(briefData, { template }));
+}
+
+function isTruthy(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// One cron job per enabled edition, rebuilt whenever config/editions.json changes
+let editionTasks = [];
+
+function scheduleEditions(list) {
+  editionTasks.forEach(task => task.stop());
+  editionTasks = list.filter(edition => edition.enabled).map(edition => cron.schedule(edition.cron, async () => {
+    console.log(`Starting scheduled ${edition.id} brief...`);
+    try {
+      const { run } = await jobRunner.runBrief({ trigger: 'cron', edition: edition.id });
+      console.log(`Scheduled ${edition.id} run ${run.id} ${run.status}${run.status === 'awaiting-approval' ? '' : `: sent to ${run.counts.sent} recipient(s)`}`);
+    } catch (error) {
+      console.error(`Scheduled ${edition.id} brief failed:`, error);
+    }
+  }, {
+    scheduled: true,
+    timezone: edition.timezone
+  }));
+}
+
+scheduleEditions(editions.getEditions());
+editions.onChange(scheduleEditions);
+
+// 0 turns alert mode off; otherwise it must divide the hour in a cron step, so 1-59
+function parseAlertPollMinutes(value) {
+  if (value === undefined || value === '') return 15;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 59) {
+    console.warn(`Ignoring ALERT_POLL_MINUTES "${value}" (expected 0-59), polling every 15 minutes`);
+    return 15;
+  }
+  return minutes;
+}
+
+// Poll for breaking news every ALERT_POLL_MINUTES (0 turns alert mode off)
+if (ALERT_POLL_MINUTES > 0) {
+  cron.schedule(`*/${ALERT_POLL_MINUTES} * * * *`, async () => {
+    try {
+      await checkForAlerts();
+    } catch (error) {
+      console.error('Alert check failed:', error);
+    }
+  });
 }
 
 app.listen(PORT, () => {
   console.log(`Theme Park News Brief server running on port ${PORT}`);
-  console.log(`Next scheduled run: ${getNextRunTime()}`);
+  jobRunner.recoverRuns().catch(error => console.error('Recovering brief runs failed:', error));
+  for (const edition of editions.getEditions({ enabledOnly: true })) {
+    console.log(`Next ${edition.id} edition: ${editions.nextRunTime(edition)}`);
+  }
 });
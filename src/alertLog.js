@@ -0,0 +1,95 @@
+const { dataPath, readJson, writeJson } = require('./storage');
+const { sameStory } = require('./clustering');
+
+const ALERT_LOG_FILE = dataPath('alerts.json');
+const RETENTION_DAYS = 14;
+const FOLLOW_UP_HOURS = parseInt(process.env.ALERT_FOLLOW_UP_HOURS, 10) || 48;
+// Polls that may try an incident's email before it is left as failed
+const MAX_SEND_ATTEMPTS = 3;
+
+// One entry per incident the alert watcher has seen, whether or not an email went out.
+// Later coverage of the same incident is folded into the entry's alsoCoveredBy.
+async function load() {
+  const entries = await readJson(ALERT_LOG_FILE, []);
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  return entries.filter(entry => new Date(entry.detectedAt).getTime() >= cutoff);
+}
+
+// The logged incident a story belongs to, if it was seen within the follow-up window. Incidents
+// whose email failed and may still be retried don't count; see findRetryableIncident.
+async function findIncident(story, now = Date.now()) {
+  return matchIncident(await load(), story, now, entry => !isRetryable(entry));
+}
+
+// A failed incident the story belongs to that should be emailed again
+async function findRetryableIncident(story, now = Date.now()) {
+  return matchIncident(await load(), story, now, isRetryable);
+}
+
+function matchIncident(entries, story, now, include) {
+  const since = now - FOLLOW_UP_HOURS * 60 * 60 * 1000;
+  return entries.find(entry =>
+    include(entry) &&
+    new Date(entry.detectedAt).getTime() >= since &&
+    (entry.id === story.id || entry.alsoCoveredBy.some(other => other.id === story.id) || sameStory(entry, story))
+  ) || null;
+}
+
+function isRetryable(entry) {
+  return entry.status === 'failed' && (entry.attempts || 1) < MAX_SEND_ATTEMPTS;
+}
+
+// `retryOf` is the failed entry this attempt replaces
+async function recordIncident(story, { status, messageId = null, error = null, channels = [], retryOf = null }) {
+  const entries = (await load()).filter(entry => !(retryOf && entry.id === retryOf.id && entry.detectedAt === retryOf.detectedAt));
+  const entry = {
+    id: story.id,
+    title: story.title,
+    url: story.url,
+    source: story.source,
+    summary: story.summary,
+    category: story.category,
+    publishedAt: story.publishedAt,
+    alsoCoveredBy: story.alsoCoveredBy || [],
+    detectedAt: new Date().toISOString(),
+    status,
+    ...(messageId && { messageId }),
+    ...(error && { error }),
+    ...(channels.length > 0 && { channels }),
+    ...(retryOf && { attempts: (retryOf.attempts || 1) + 1 })
+  };
+
+  entries.push(entry);
+  await writeJson(ALERT_LOG_FILE, entries);
+  return entry;
+}
+
+// Adds a follow-up article to an incident's coverage without alerting again
+async function recordFollowUp(incidentId, story) {
+  const entries = await load();
+  const entry = entries.find(candidate => candidate.id === incidentId);
+  if (!entry) return null;
+
+  const known = new Set([entry.id, ...entry.alsoCoveredBy.map(other => other.id)]);
+  const additions = [story, ...(story.alsoCoveredBy || [])]
+    .filter(article => !known.has(article.id))
+    .map(({ id, title, source, url, publishedAt }) => ({ id, title, source, url, publishedAt }));
+  if (additions.length === 0) return entry;
+
+  entry.alsoCoveredBy.push(...additions);
+  await writeJson(ALERT_LOG_FILE, entries);
+  return entry;
+}
+
+async function getAlertsSince(since) {
+  const entries = await load();
+  return entries.filter(entry => new Date(entry.detectedAt).getTime() >= since);
+}
+
+module.exports = {
+  findIncident,
+  findRetryableIncident,
+  recordIncident,
+  recordFollowUp,
+  getAlertsSince
+};
@@ -0,0 +1,116 @@
+const newsProcessor = require('./newsProcessor');
+const alertLog = require('./alertLog');
+const { clusterArticles } = require('./clustering');
+const { sendAlertEmail } = require('./emailSender');
+const channels = require('./channels');
+
+const ALERT_TIMEZONE = process.env.BRIEF_TIMEZONE || 'America/Los_Angeles';
+const DAILY_CAP = process.env.ALERT_DAILY_CAP !== undefined ? parseInt(process.env.ALERT_DAILY_CAP, 10) : 3;
+const QUIET_HOURS = parseQuietHours(process.env.ALERT_QUIET_HOURS);
+
+let checking = false;
+
+// One polling pass: fetch every source, keep alert-worthy articles nobody has been told about
+// yet and email each new incident. Follow-up coverage of a logged incident is recorded but not
+// sent, and incidents that arrive during quiet hours or over the daily cap are only logged;
+// either way they show up in the next brief. An incident whose email failed is tried again on
+// the next polls, up to alertLog's attempt limit.
+async function checkForAlerts(now = new Date()) {
+  if (checking) {
+    console.log('Alert check still running, skipping this one');
+    return null;
+  }
+  checking = true;
+
+  try {
+    const discovered = await newsProcessor.discoverArticles();
+    const candidates = await newsProcessor.resolveArticles(discovered.filter(article => article.isAlert));
+    // Dry run: the alert watcher reads the article history but never writes to it
+    const { filtered } = await newsProcessor.filterAndDeduplicate(candidates.filter(article => article.isAlert), { dryRun: true });
+    const incidents = clusterArticles(filtered);
+
+    const outcome = { checked: incidents.length, sent: 0, held: 0, failed: 0, followUps: 0 };
+    for (const story of incidents) {
+      const known = await alertLog.findIncident(story, now.getTime());
+      if (known) {
+        await alertLog.recordFollowUp(known.id, story);
+        outcome.followUps++;
+        continue;
+      }
+
+      const retryOf = await alertLog.findRetryableIncident(story, now.getTime());
+      const holdReason = await reasonToHold(now);
+      if (holdReason) {
+        console.log(`Holding alert "${story.title}" (${holdReason})`);
+        await alertLog.recordIncident(story, { status: holdReason, retryOf });
+        outcome.held++;
+        continue;
+      }
+
+      // A retry after a failed email skips the channels that already have the alert
+      const posted = retryOf ? (retryOf.channels || []).filter(result => result.ok) : [];
+      const channelResults = [...posted, ...await channels.postAlert(story, { skip: posted.map(result => result.channel) })];
+      try {
+        const emailResult = await sendAlertEmail(story);
+        await alertLog.recordIncident(story, { status: 'sent', messageId: emailResult.messageId, channels: channelResults, retryOf });
+        outcome.sent++;
+      } catch (error) {
+        console.error(`Sending alert "${story.title}" failed:`, error.message);
+        await alertLog.recordIncident(story, { status: 'failed', error: error.message, channels: channelResults, retryOf });
+        outcome.failed++;
+      }
+    }
+
+    console.log(`Alert check: ${outcome.checked} incidents, ${outcome.sent} sent, ${outcome.held} held, ${outcome.followUps} follow-ups, ${outcome.failed} failed`);
+    return outcome;
+  } finally {
+    checking = false;
+  }
+}
+
+async function reasonToHold(now) {
+  if (QUIET_HOURS && inQuietHours(now, QUIET_HOURS)) return 'quiet-hours';
+
+  const today = localDate(now);
+  const recent = await alertLog.getAlertsSince(now.getTime() - 24 * 60 * 60 * 1000);
+  const sentToday = recent.filter(entry => entry.status === 'sent' && localDate(new Date(entry.detectedAt)) === today);
+  if (sentToday.length >= DAILY_CAP) return 'daily-cap';
+
+  return null;
+}
+
+// "22:00-07:00" or "22-7", in BRIEF_TIMEZONE; a range may wrap past midnight
+function parseQuietHours(value) {
+  if (!value) return null;
+
+  const match = value.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) {
+    console.warn(`Ignoring ALERT_QUIET_HOURS "${value}" (expected e.g. 22:00-07:00)`);
+    return null;
+  }
+
+  const [, startHour, startMinute = '0', endHour, endMinute = '0'] = match;
+  return {
+    start: parseInt(startHour, 10) * 60 + parseInt(startMinute, 10),
+    end: parseInt(endHour, 10) * 60 + parseInt(endMinute, 10)
+  };
+}
+
+function inQuietHours(now, { start, end }) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+    timeZone: ALERT_TIMEZONE
+  }).formatToParts(now);
+  const part = type => parseInt(parts.find(entry => entry.type === type).value, 10);
+  const minutes = part('hour') * 60 + part('minute');
+
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function localDate(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: ALERT_TIMEZONE });
+}
+
+module.exports = { checkForAlerts };
@@ -0,0 +1,229 @@
+const { dataPath, readJson, writeJson } = require('./storage');
+const entities = require('./entities');
+const { titleTerms } = require('./clustering');
+
+const ANALYTICS_TIMEZONE = process.env.BRIEF_TIMEZONE || 'America/Los_Angeles';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DIMENSIONS = ['category', 'source', 'significance', 'entity', 'term'];
+// An article counts once, on the day it was first seen; weekly digests re-read a week of stories
+const SEEN_WINDOW_DAYS = 8;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// Dates in headlines would otherwise trend at the start of every month
+const IGNORED_TERMS = new Set([
+  'jan', 'january', 'feb', 'february', 'mar', 'march', 'apr', 'april', 'may', 'june', 'july', 'aug', 'august',
+  'sept', 'september', 'oct', 'october', 'nov', 'november', 'dec', 'december',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'today', 'tomorrow', 'week'
+]);
+
+// Trending compares the last week's mentions with the weekly average of the four weeks before
+const TREND_DAYS = 7;
+const BASELINE_WEEKS = 4;
+const TREND_MIN_MENTIONS = parseInt(process.env.TREND_MIN_MENTIONS, 10) || 3;
+const TREND_MIN_RATIO = parseFloat(process.env.TREND_MIN_RATIO) || 2;
+const TREND_LIMIT = 5;
+const TREND_TYPES = ['entity', 'term'];
+// Without a couple of weeks of history everything looks like a spike
+const TREND_MIN_HISTORY_DAYS = 14;
+
+// Daily counts are stored as data/analytics/<YYYY-MM-DD>.json: the number of articles first seen
+// that day and, per dimension, how many of them had each category, source, significance,
+// entity and headline term. Dates are in BRIEF_TIMEZONE.
+async function recordArticles(articles, stories, now = new Date()) {
+  const date = localDate(now);
+  const seen = new Set();
+  for (const day of await readDays(addDays(date, -SEEN_WINDOW_DAYS), date)) {
+    day.articleIds.forEach(id => seen.add(id));
+  }
+
+  // Significance is given to whole stories by the ranking
+  const significance = new Map();
+  for (const story of stories) {
+    for (const member of [story, ...(story.alsoCoveredBy || [])]) significance.set(member.id, story.significance);
+  }
+
+  const day = (await readJson(dayPath(date), null)) || emptyDay(date);
+  let counted = 0;
+  for (const article of articles) {
+    if (seen.has(article.id)) continue;
+    seen.add(article.id);
+    day.articleIds.push(article.id);
+    day.articles++;
+    counted++;
+
+    increment(day.counts.category, article.category);
+    increment(day.counts.source, article.source);
+    increment(day.counts.significance, significance.get(article.id));
+    (article.entities || []).forEach(slug => increment(day.counts.entity, slug));
+    [...titleTerms(article.title)]
+      .filter(term => !IGNORED_TERMS.has(term) && !/^\d+$/.test(term))
+      .forEach(term => increment(day.counts.term, term));
+  }
+
+  await writeJson(dayPath(date), day);
+  return counted;
+}
+
+// The daily counts between two dates, inclusive (by default the 30 days up to today), and their
+// totals. `dimension` limits the counts to one of DIMENSIONS; `limit` keeps the top keys of each
+// dimension in the totals.
+async function getAnalytics({ from = null, to = null, dimension = null, limit = 50 } = {}) {
+  to = to || localDate(new Date());
+  validateDate('to', to);
+  from = from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+  validateDate('from', from);
+  if (from > to) throw httpError(400, 'from must not be after to');
+  if (addDays(from, MAX_RANGE_DAYS - 1) < to) throw httpError(400, `The range can cover at most ${MAX_RANGE_DAYS} days`);
+  if (dimension && !DIMENSIONS.includes(dimension)) {
+    throw httpError(400, `dimension must be one of ${DIMENSIONS.join(', ')}`);
+  }
+
+  const dimensions = dimension ? [dimension] : DIMENSIONS;
+  const days = (await readDays(from, to)).map(day => ({
+    date: day.date,
+    articles: day.articles,
+    counts: Object.fromEntries(dimensions.map(name => [name, day.counts[name]]))
+  }));
+
+  const totals = {};
+  for (const name of dimensions) {
+    const merged = {};
+    days.forEach(day => Object.entries(day.counts[name]).forEach(([key, count]) => increment(merged, key, count)));
+    totals[name] = topCounts(merged, limit);
+  }
+
+  return {
+    from,
+    to,
+    articles: days.reduce((sum, day) => sum + day.articles, 0),
+    totals,
+    days
+  };
+}
+
+// One row per date, dimension and key, ready for a spreadsheet pivot table
+function toCsv(analytics) {
+  const rows = [['date', 'dimension', 'key', 'count']];
+  for (const day of analytics.days) {
+    rows.push([day.date, 'articles', '', day.articles]);
+    for (const [name, counts] of Object.entries(day.counts)) {
+      for (const [key, count] of Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))) {
+        rows.push([day.date, name, name === 'entity' ? entityName(key) : key, count]);
+      }
+    }
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Entities and headline terms mentioned in at least TREND_MIN_RATIO times as many articles in the
+// last week as in an average week of the four before. Terms that are part of a trending entity's
+// name are left out, so "Epic Universe" isn't followed by "epic" and "universe".
+async function getTrending(now = new Date()) {
+  const today = localDate(now);
+  const weekStart = addDays(today, -(TREND_DAYS - 1));
+  const baselineStart = addDays(weekStart, -TREND_DAYS * BASELINE_WEEKS);
+  const days = await readDays(baselineStart, today);
+  if (days.length === 0 || days[0].date > addDays(today, -TREND_MIN_HISTORY_DAYS)) return [];
+
+  const current = { entity: {}, term: {} };
+  const baseline = { entity: {}, term: {} };
+  for (const day of days) {
+    const target = day.date >= weekStart ? current : baseline;
+    for (const name of ['entity', 'term']) {
+      Object.entries(day.counts[name]).forEach(([key, count]) => increment(target[name], key, count));
+    }
+  }
+
+  const spikes = [];
+  for (const type of TREND_TYPES) {
+    for (const [key, count] of Object.entries(current[type])) {
+      if (count < TREND_MIN_MENTIONS) continue;
+      const usual = (baseline[type][key] || 0) / BASELINE_WEEKS;
+      const ratio = (count + 1) / (usual + 1);
+      if (ratio >= TREND_MIN_RATIO) {
+        spikes.push({ type, key, label: type === 'entity' ? entityName(key) : key, count, baseline: round(usual), ratio: round(ratio) });
+      }
+    }
+  }
+  // Named parks and operators go before plain words that spiked as much
+  spikes.sort((a, b) => b.ratio - a.ratio || b.count - a.count || TREND_TYPES.indexOf(a.type) - TREND_TYPES.indexOf(b.type) || a.label.localeCompare(b.label));
+
+  const entityTerms = new Set(spikes.filter(spike => spike.type === 'entity').flatMap(spike => [...titleTerms(spike.label)]));
+  return spikes.filter(spike => spike.type === 'entity' || !entityTerms.has(spike.key)).slice(0, TREND_LIMIT);
+}
+
+async function readDays(from, to) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const day = await readJson(dayPath(date), null);
+    if (day) days.push(day);
+  }
+  return days;
+}
+
+function validateDate(name, value) {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value)) || addDays(value, 0) !== value) {
+    throw httpError(400, `${name} must be a date (YYYY-MM-DD)`);
+  }
+}
+
+function emptyDay(date) {
+  return { date, articles: 0, counts: Object.fromEntries(DIMENSIONS.map(name => [name, {}])), articleIds: [] };
+}
+
+function increment(counts, key, amount = 1) {
+  if (key === undefined || key === null || key === '') return;
+  counts[key] = (counts[key] || 0) + amount;
+}
+
+function topCounts(counts, limit) {
+  return Object.fromEntries(
+    Object.entries(counts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+  );
+}
+
+function entityName(slug) {
+  const entity = entities.getEntity(slug);
+  return entity ? entity.name : slug;
+}
+
+// Scraped text starting with =, +, - or @ (or a tab or CR) would run as a formula when the export
+// is opened in a spreadsheet, so it is prefixed with ' to keep it text
+function csvField(value) {
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function dayPath(date) {
+  return dataPath('analytics', `${date}.json`);
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function localDate(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: ANALYTICS_TIMEZONE });
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  DIMENSIONS,
+  recordArticles,
+  getAnalytics,
+  toCsv,
+  getTrending
+};
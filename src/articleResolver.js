@@ -0,0 +1,169 @@
+const cheerio = require('cheerio');
+const fetcher = require('./fetcher');
+const { dataPath, readJson, writeJson } = require('./storage');
+
+const RESOLVED_CACHE_FILE = dataPath('resolved-links.json');
+const RESOLVED_TTL_DAYS = 7;
+
+// Resolved links by original URL, so a story seen again tomorrow doesn't cost another two fetches
+let resolvedCache = null;
+let resolvedCacheDirty = false;
+
+function needsResolution(article) {
+  return isGoogleNewsUrl(article.url);
+}
+
+// Follows a news.google.com link to the publisher and reads the publisher page's metadata.
+// Returns { url, metadata } where url is the publisher URL (canonical link preferred) and
+// metadata holds whatever the page declared: title, description, author, publishedAt, siteName.
+// Runs recorded to or replayed from a snapshot (options.snapshot) always fetch the pages.
+async function resolveArticle(url, options = {}) {
+  const { snapshot } = options;
+  const cache = await loadResolvedCache();
+  const cached = cache[url];
+  if (cached && !snapshot && Date.now() - new Date(cached.resolvedAt).getTime() < RESOLVED_TTL_DAYS * 86400000) {
+    return { url: cached.url, metadata: cached.metadata };
+  }
+
+  let response = await fetcher.fetchUrl(url, { signal: options.signal, snapshot });
+
+  // Some Google News pages answer 200 with an interstitial instead of redirecting
+  if (isGoogleNewsUrl(response.finalUrl)) {
+    const target = findPublisherLink(response.data, response.finalUrl);
+    if (!target) {
+      throw new Error('No publisher link found on Google News page');
+    }
+    response = await fetcher.fetchUrl(target, { signal: options.signal, snapshot });
+  }
+
+  const metadata = extractPageMetadata(response.data, response.finalUrl);
+  const resolved = { url: metadata.canonicalUrl || response.finalUrl, metadata };
+
+  cache[url] = { ...resolved, resolvedAt: new Date().toISOString() };
+  resolvedCacheDirty = true;
+  return resolved;
+}
+
+// Reads Open Graph, article:*, JSON-LD and plain meta tags from a publisher page
+function extractPageMetadata(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const meta = (...names) => {
+    for (const name of names) {
+      const value = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+      if (value && value.trim()) return value.trim();
+    }
+    return null;
+  };
+  const ld = readJsonLdArticle($);
+
+  return {
+    title: meta('og:title', 'twitter:title') || (ld && ld.headline) || $('title').first().text().trim() || null,
+    description: meta('og:description', 'twitter:description', 'description') || (ld && ld.description) || null,
+    canonicalUrl: absoluteHttpUrl($('link[rel="canonical"]').first().attr('href'), pageUrl) ||
+      absoluteHttpUrl(meta('og:url'), pageUrl),
+    author: meta('author', 'article:author', 'parsely-author') || (ld && authorName(ld.author)) || null,
+    publishedAt: toIsoDate(
+      meta('article:published_time', 'og:published_time', 'datePublished', 'pubdate') ||
+      (ld && ld.datePublished) ||
+      $('time[datetime]').first().attr('datetime')
+    ),
+    siteName: meta('og:site_name') || (ld && ld.publisher && ld.publisher.name) || null
+  };
+}
+
+function findPublisherLink(html, pageUrl) {
+  const $ = cheerio.load(html);
+
+  const refresh = $('meta[http-equiv="refresh" i]').attr('content');
+  const refreshMatch = refresh && refresh.match(/url\s*=\s*['"]?([^'"]+)/i);
+  const candidates = [
+    refreshMatch && refreshMatch[1],
+    $('[data-n-au]').first().attr('data-n-au'),
+    ...$('a[href]').map((i, element) => $(element).attr('href')).get()
+  ];
+
+  for (const candidate of candidates) {
+    const url = absoluteHttpUrl(candidate, pageUrl);
+    if (url && !isGoogleUrl(url)) return url;
+  }
+  return null;
+}
+
+// The first NewsArticle-like object in the page's JSON-LD, if any
+function readJsonLdArticle($) {
+  const scripts = $('script[type="application/ld+json"]').map((i, element) => $(element).contents().text()).get();
+
+  for (const script of scripts) {
+    let parsed;
+    try {
+      parsed = JSON.parse(script);
+    } catch {
+      continue;
+    }
+
+    const nodes = [].concat(parsed).flatMap(node => (node && node['@graph']) || [node]);
+    const article = nodes.find(node => node && /Article|Posting/.test([].concat(node['@type']).join(' ')));
+    if (article) return article;
+  }
+  return null;
+}
+
+function authorName(author) {
+  const first = [].concat(author || [])[0];
+  if (!first) return null;
+  return typeof first === 'string' ? first : first.name || null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function absoluteHttpUrl(value, base) {
+  if (!value) return null;
+  try {
+    const url = new URL(value, base);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function isGoogleNewsUrl(url) {
+  try {
+    return new URL(url).hostname === 'news.google.com';
+  } catch {
+    return false;
+  }
+}
+
+function isGoogleUrl(url) {
+  return /(^|\.)google\.[a-z.]+$|(^|\.)(gstatic|googleusercontent)\.com$/.test(new URL(url).hostname);
+}
+
+async function loadResolvedCache() {
+  if (!resolvedCache) {
+    resolvedCache = await readJson(RESOLVED_CACHE_FILE, {});
+  }
+  return resolvedCache;
+}
+
+// Written once per run; expired entries are dropped at the same time
+async function saveResolvedCache() {
+  if (!resolvedCache || !resolvedCacheDirty) return;
+
+  const cutoff = Date.now() - RESOLVED_TTL_DAYS * 86400000;
+  for (const [url, entry] of Object.entries(resolvedCache)) {
+    if (new Date(entry.resolvedAt).getTime() < cutoff) delete resolvedCache[url];
+  }
+  resolvedCacheDirty = false;
+  await writeJson(RESOLVED_CACHE_FILE, resolvedCache);
+}
+
+module.exports = {
+  needsResolution,
+  resolveArticle,
+  extractPageMetadata,
+  saveResolvedCache
+};
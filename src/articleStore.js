@@ -0,0 +1,154 @@
+const { dataPath, readLines, appendLines, writeFileAtomic } = require('./storage');
+
+const HISTORY_FILE = dataPath('article-history.jsonl');
+const RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 30;
+
+// Append-only log of every article we have seen. Each line is a full record;
+// later lines for the same id replace earlier ones when the log is replayed.
+let entries = null;
+// Callers that arrive while the history is still being read (an alert poll during a brief run)
+// wait for the same load instead of seeing a half-filled map
+let loading = null;
+// Every write to the history file runs after the one before it: compact() replaces the file, so
+// an append made while it runs would be lost
+let writing = Promise.resolve();
+
+function load() {
+  if (!loading) {
+    loading = readHistory().catch(error => {
+      loading = null;
+      throw error;
+    });
+  }
+  return loading;
+}
+
+async function readHistory() {
+  const loaded = new Map();
+  const lines = await readLines(HISTORY_FILE);
+  for (const line of lines) {
+    try {
+      const record = JSON.parse(line);
+      loaded.set(record.id, record);
+    } catch (err) {
+      // Skip lines truncated by an interrupted write
+    }
+  }
+  entries = loaded;
+
+  const expired = removeExpired();
+  if (expired > 0 || lines.length > entries.size * 2) {
+    await serialize(compact);
+  }
+
+  console.log(`Loaded ${entries.size} articles from history`);
+  return entries;
+}
+
+function removeExpired() {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let removed = 0;
+
+  for (const [id, record] of entries) {
+    if (new Date(record.firstSeenAt).getTime() < cutoff) {
+      entries.delete(id);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+// Appends the changed records, or rewrites the file when some records have expired. The history
+// would otherwise only be pruned at startup, which a long-running server rarely sees.
+function save(changed) {
+  return serialize(async () => {
+    if (removeExpired() > 0) {
+      await compact();
+    } else {
+      await appendLines(HISTORY_FILE, changed.map(record => JSON.stringify(record)));
+    }
+  });
+}
+
+function serialize(work) {
+  const result = writing.then(work);
+  writing = result.catch(() => {});
+  return result;
+}
+
+async function compact() {
+  const contents = [...entries.values()].map(record => JSON.stringify(record) + '\n').join('');
+  await writeFileAtomic(HISTORY_FILE, contents);
+}
+
+async function get(id) {
+  await load();
+  return entries.get(id) || null;
+}
+
+async function wasBriefed(id) {
+  const record = await get(id);
+  return Boolean(record && record.inBrief);
+}
+
+async function getBriefedTitles() {
+  await load();
+  return [...entries.values()].filter(record => record.inBrief).map(record => record.title);
+}
+
+async function recordSeen(articles) {
+  await load();
+  const now = new Date().toISOString();
+  const changed = [];
+
+  for (const article of articles) {
+    if (entries.has(article.id)) continue;
+
+    const record = {
+      id: article.id,
+      title: article.title,
+      source: article.source,
+      url: article.canonicalUrl || article.url,
+      firstSeenAt: now,
+      inBrief: false
+    };
+    entries.set(record.id, record);
+    changed.push(record);
+  }
+
+  await save(changed);
+}
+
+async function markInBrief(articles) {
+  await load();
+  const now = new Date().toISOString();
+  const changed = [];
+
+  for (const article of articles) {
+    const existing = entries.get(article.id);
+    if (existing && existing.inBrief) continue;
+
+    const record = {
+      id: article.id,
+      title: article.title,
+      source: article.source,
+      url: article.canonicalUrl || article.url,
+      firstSeenAt: existing ? existing.firstSeenAt : now,
+      inBrief: true,
+      briefedAt: now
+    };
+    entries.set(record.id, record);
+    changed.push(record);
+  }
+
+  await save(changed);
+}
+
+module.exports = {
+  get,
+  wasBriefed,
+  getBriefedTitles,
+  recordSeen,
+  markInBrief
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath, ensureDir, readJson, writeJson, writeFileAtomic } = require('./storage');
+
+const ARCHIVE_DIR = dataPath('briefs');
+const ARCHIVE_TIMEZONE = process.env.BRIEF_TIMEZONE || 'America/Los_Angeles';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Briefs are stored as data/briefs/<YYYY-MM-DD>/<edition>.json plus <edition>.html. A second
+// run for the same day and edition moves the earlier brief to superseded/<edition>-<generated at>
+// and takes over its delivery history.
+function briefDate(isoTimestamp) {
+  return new Date(isoTimestamp).toLocaleDateString('en-CA', { timeZone: ARCHIVE_TIMEZONE });
+}
+
+function briefPath(date, edition, extension) {
+  if (!DATE_PATTERN.test(date) || !/^[a-z0-9-]+$/i.test(edition)) {
+    throw httpError(400, `Invalid brief key: ${date}/${edition}`);
+  }
+  return dataPath('briefs', date, `${edition}.${extension}`);
+}
+
+function supersededPath(date, edition, generatedAt, extension) {
+  const stamp = generatedAt.replace(/[-:.]/g, '');
+  return path.join(path.dirname(briefPath(date, edition, extension)), 'superseded', `${edition}-${stamp}.${extension}`);
+}
+
+async function saveBrief(briefData, html, edition = 'daily') {
+  const date = briefDate(briefData.generatedAt);
+  const previous = await readJson(briefPath(date, edition, 'json'), null);
+  if (previous) {
+    await writeJson(supersededPath(date, edition, previous.generatedAt, 'json'), previous);
+    await moveIfExists(briefPath(date, edition, 'html'), supersededPath(date, edition, previous.generatedAt, 'html'));
+  }
+
+  const record = {
+    date,
+    edition,
+    generatedAt: briefData.generatedAt,
+    briefData,
+    deliveries: previous ? previous.deliveries : []
+  };
+
+  await writeJson(briefPath(date, edition, 'json'), record);
+  await writeFileAtomic(briefPath(date, edition, 'html'), html);
+  console.log(`Archived ${edition} brief for ${date}${previous ? ` (replacing the one generated ${previous.generatedAt})` : ''}`);
+
+  return { date, edition, generatedAt: briefData.generatedAt };
+}
+
+// The archived brief for a day and edition. With `generatedAt`, the one generated then, even if
+// a later run has since replaced it.
+async function getBrief(date, edition = 'daily', { generatedAt = null } = {}) {
+  const record = await readJson(briefPath(date, edition, 'json'), null);
+  if (record && generatedAt && record.generatedAt !== generatedAt) {
+    const superseded = await readJson(supersededPath(date, edition, generatedAt, 'json'), null);
+    if (superseded) superseded.html = await readFileIfExists(supersededPath(date, edition, generatedAt, 'html'));
+    return superseded;
+  }
+  if (!record) return null;
+
+  record.html = await readHtml(date, edition);
+  return record;
+}
+
+// The email as it was rendered, or null for briefs archived without one
+async function readHtml(date, edition) {
+  return readFileIfExists(briefPath(date, edition, 'html'));
+}
+
+async function readFileIfExists(file) {
+  try {
+    return await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  }
+}
+
+async function moveIfExists(from, to) {
+  await ensureDir(path.dirname(to));
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+async function recordDelivery(date, edition, delivery) {
+  const file = briefPath(date, edition, 'json');
+  const record = await readJson(file, null);
+  if (!record) return;
+
+  record.deliveries.push({ sentAt: new Date().toISOString(), ...delivery });
+  await writeJson(file, record);
+}
+
+// Newest date first
+async function listKeys() {
+  let dates = [];
+  try {
+    dates = (await fs.promises.readdir(ARCHIVE_DIR)).filter(name => DATE_PATTERN.test(name));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  dates.sort().reverse();
+
+  const keys = [];
+  for (const date of dates) {
+    const files = await fs.promises.readdir(dataPath('briefs', date));
+    files.filter(file => file.endsWith('.json')).sort().forEach(file => {
+      keys.push({ date, edition: file.replace(/\.json$/, '') });
+    });
+  }
+  return keys;
+}
+
+async function listBriefs({ page = 1, limit = 20 } = {}) {
+  const keys = await listKeys();
+  const start = (page - 1) * limit;
+  const briefs = [];
+  for (const { date, edition } of keys.slice(start, start + limit)) {
+    const record = await readJson(briefPath(date, edition, 'json'), null);
+    if (!record) continue;
+    briefs.push({
+      date,
+      edition,
+      generatedAt: record.generatedAt,
+      topStories: record.briefData.topStories.length,
+      alsoNoted: record.briefData.alsoNoted.length,
+      alerts: record.briefData.alerts.length,
+      deliveries: record.deliveries.length
+    });
+  }
+
+  return {
+    briefs,
+    page,
+    limit,
+    total: keys.length,
+    totalPages: Math.ceil(keys.length / limit)
+  };
+}
+
+// The newest full records, optionally for one edition only; `withHtml` also loads each one's
+// archived email as `html`
+async function getLatestBriefs({ limit = 20, edition = null, withHtml = false } = {}) {
+  const records = [];
+  for (const key of await listKeys()) {
+    if (records.length >= limit) break;
+    if (edition && key.edition !== edition) continue;
+
+    const record = await readJson(briefPath(key.date, key.edition, 'json'), null);
+    if (!record) continue;
+    if (withHtml) record.html = await readHtml(key.date, key.edition);
+    records.push(record);
+  }
+  return records;
+}
+
+// Full records generated at or after `since`, optionally limited to some editions
+async function getBriefsSince(since, { editions = null } = {}) {
+  const sinceDate = briefDate(since);
+  const records = [];
+
+  for (const { date, edition } of await listKeys()) {
+    if (date < sinceDate) break;
+    if (editions && !editions.includes(edition)) continue;
+
+    const record = await readJson(briefPath(date, edition, 'json'), null);
+    if (record && new Date(record.generatedAt).getTime() >= new Date(since).getTime()) {
+      records.push(record);
+    }
+  }
+  return records;
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  saveBrief,
+  getBrief,
+  recordDelivery,
+  listBriefs,
+  getLatestBriefs,
+  getBriefsSince
+};
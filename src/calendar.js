@@ -0,0 +1,89 @@
+const events = require('./events');
+const { loadSettings } = require('./renderer');
+
+// UIDs stay the same if PUBLIC_BASE_URL changes, so calendar apps don't duplicate events
+const UID_DOMAIN = 'theme-park-news-brief';
+const MAX_LINE_OCTETS = 75;
+
+// The stored events as an iCalendar (RFC 5545) feed of all-day events, each linking to the
+// article it came from. `types` limits it to some of events.EVENT_TYPES.
+async function buildCalendar({ types = null } = {}) {
+  if (types && (types.length === 0 || !types.every(type => events.EVENT_TYPES.includes(type)))) {
+    const error = new Error(`type must be one or more of ${events.EVENT_TYPES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const stored = await events.listEvents({ types });
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//events//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${loadSettings().title} events`)}`
+  ];
+
+  for (const event of stored) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${formatTimestamp(event.firstSeenAt)}`,
+      `DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`,
+      // DTEND is exclusive for all-day events
+      `DTEND;VALUE=DATE:${nextDay(event.endDate || event.date)}`,
+      `SUMMARY:${escapeText(`${events.TYPE_LABELS[event.type]}: ${event.articleTitle}`)}`,
+      `DESCRIPTION:${escapeText(`${event.context}\n\nSource: ${event.source}\n${event.url}`)}`,
+      `URL:${event.url}`,
+      `CATEGORIES:${escapeText(events.TYPE_LABELS[event.type])}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+
+  return {
+    body: lines.map(foldLine).join('\r\n') + '\r\n',
+    contentType: 'text/calendar; charset=utf-8',
+    lastModified: stored.length > 0
+      ? new Date(Math.max(...stored.map(event => new Date(event.firstSeenAt).getTime())))
+      : null
+  };
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space, without splitting a character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatTimestamp(value) {
+  const date = value ? new Date(value) : new Date();
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+module.exports = { buildCalendar };
@@ -0,0 +1,111 @@
+const { renderSubject, renderAlertSubject, safeUrl } = require('../renderer');
+
+// Discord allows 10 embeds per message, 4096 characters per description and 6000 characters of
+// embed text (titles and descriptions here) per message; anything over is rejected with a 400
+const MAX_DESCRIPTION = 4096;
+const MAX_TOTAL = 6000;
+// Alerts go first but are capped, so the brief itself always fits alongside them
+const MAX_ALERT_EMBEDS = 3;
+const MAX_ALERT_DESCRIPTION = 300;
+const MAX_OVERVIEW = 1000;
+// Kept free while the top stories are filled in, so the also-noted list isn't squeezed out
+const ALSO_NOTED_RESERVE = 800;
+const MORE_ROOM = 30;
+
+// Webhook message made of embeds: alerts, the overview, top stories and the also-noted list
+function formatBrief(briefData, settings) {
+  let budget = MAX_TOTAL;
+  const take = embed => {
+    budget -= embed.title.length + embed.description.length;
+    return embed;
+  };
+
+  const alerts = briefData.alerts.slice(0, MAX_ALERT_EMBEDS).map(alert => take({
+    title: truncate(`${settings.sections.developing}: ${alert.title}`, 256),
+    url: safeUrl(alert.url) || undefined,
+    description: `${truncate(alert.summary || '', MAX_ALERT_DESCRIPTION - 100)}\n*${truncate(escape(alert.source), 96)}*`,
+    color: color(settings.colors.alertBorder)
+  }));
+  const moreAlerts = briefData.alerts.length - alerts.length;
+
+  const overview = take({
+    title: truncate(renderSubject(briefData), 256),
+    description: truncate(`**${settings.sections.glance}**\n${briefData.summary}`, MAX_OVERVIEW - MORE_ROOM) +
+      (moreAlerts > 0 ? `\n*${moreAlerts} more ${settings.sections.developing.toLowerCase()} stories not shown*` : ''),
+    color: color(settings.colors.primary)
+  });
+
+  const alsoNotedLines = briefData.alsoNoted.map(story => `• ${link(story.url, story.title)} (${escape(story.source)})`);
+  const reserve = alsoNotedLines.length > 0
+    ? Math.min(ALSO_NOTED_RESERVE, settings.sections.alsoNoted.length + alsoNotedLines.join('\n').length)
+    : 0;
+  const topStories = take({
+    title: settings.sections.topStories,
+    description: joinWithin(
+      briefData.topStories.map((story, index) => `**${index + 1}. ${link(story.url, story.title)}**\n${escape(story.summary)}\n*${escape(story.source)}*`),
+      '\n\n',
+      Math.min(MAX_DESCRIPTION, budget - settings.sections.topStories.length - reserve)
+    ),
+    color: color(settings.colors.primary)
+  });
+
+  const embeds = [...alerts, overview, topStories];
+  const alsoNotedRoom = Math.min(MAX_DESCRIPTION, budget - settings.sections.alsoNoted.length);
+  if (alsoNotedLines.length > 0 && alsoNotedRoom > MORE_ROOM * 2) {
+    embeds.push(take({
+      title: settings.sections.alsoNoted,
+      description: joinWithin(alsoNotedLines, '\n', alsoNotedRoom),
+      color: color(settings.colors.accent)
+    }));
+  }
+
+  return { username: settings.title, embeds };
+}
+
+function formatAlert(story, settings) {
+  return {
+    username: settings.title,
+    content: truncate(renderAlertSubject(story), 2000),
+    embeds: [{
+      title: truncate(story.title, 256),
+      url: safeUrl(story.url) || undefined,
+      description: truncate(`${story.summary || ''}\n*${story.source}*`, MAX_DESCRIPTION),
+      color: color(settings.colors.alertBorder)
+    }]
+  };
+}
+
+function link(url, text) {
+  const safe = safeUrl(url);
+  return safe ? `[${escape(text)}](${safe})` : escape(text);
+}
+
+// Keeps scraped text from being read as Discord markdown
+function escape(text) {
+  return String(text || '').replace(/([\\*_~`|[\]()>])/g, '\\$1');
+}
+
+function color(hex) {
+  return parseInt(String(hex).replace('#', ''), 16) || 0;
+}
+
+// Whole entries while they fit in `max` characters, then how many were left out
+function joinWithin(entries, separator, max) {
+  let text = '';
+  for (let index = 0; index < entries.length; index++) {
+    const candidate = text ? `${text}${separator}${entries[index]}` : entries[index];
+    const room = index === entries.length - 1 ? max : max - MORE_ROOM;
+    if (candidate.length > room) {
+      if (!text) return truncate(entries[index], max);
+      return `${text}${separator}*…and ${entries.length - index} more*`;
+    }
+    text = candidate;
+  }
+  return text;
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+module.exports = { name: 'discord', formatBrief, formatAlert };
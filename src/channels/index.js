@@ -0,0 +1,148 @@
+const axios = require('axios');
+const { createConfig } = require('../configLoader');
+const { loadSettings } = require('../renderer');
+
+const formatters = {
+  slack: require('./slack'),
+  discord: require('./discord'),
+  teams: require('./teams')
+};
+const EVENTS = ['brief', 'alert'];
+const RETRIES = process.env.CHANNEL_RETRIES !== undefined ? parseInt(process.env.CHANNEL_RETRIES, 10) : 3;
+const RETRY_BASE_MS = parseInt(process.env.CHANNEL_RETRY_BASE_MS, 10) || 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+const config = createConfig('channels', validateChannelConfig);
+
+function getChannels({ enabledOnly = false } = {}) {
+  const { channels } = config.get();
+  return enabledOnly ? channels.filter(channel => channel.enabled !== false) : channels;
+}
+
+// Posts the brief to every enabled channel subscribed to briefs (and to its edition, if the
+// channel lists editions). Never throws; each channel's outcome is returned.
+async function postBrief(briefData) {
+  const channels = getChannels({ enabledOnly: true }).filter(channel =>
+    subscribesTo(channel, 'brief') && (!channel.editions || channel.editions.includes(briefData.edition || 'daily'))
+  );
+  return postToAll(channels, formatter => formatter.formatBrief(briefData, loadSettings()));
+}
+
+// `skip` lists channel ids that already have this alert
+async function postAlert(story, { skip = [] } = {}) {
+  const channels = getChannels({ enabledOnly: true }).filter(channel => subscribesTo(channel, 'alert') && !skip.includes(channel.id));
+  return postToAll(channels, formatter => formatter.formatAlert(story, loadSettings()));
+}
+
+// Posts one message to a single channel, enabled or not; used by the admin test route
+async function postToChannel(id, kind, data) {
+  const channel = getChannels().find(candidate => candidate.id === id);
+  if (!channel) return null;
+
+  const formatter = formatters[channel.type];
+  const payload = kind === 'alert' ? formatter.formatAlert(data, loadSettings()) : formatter.formatBrief(data, loadSettings());
+  const [result] = await postToAll([channel], () => payload);
+  return result;
+}
+
+async function postToAll(channels, format) {
+  const results = [];
+  for (const channel of channels) {
+    try {
+      const url = webhookUrl(channel);
+      const response = await post(url, format(formatters[channel.type]));
+      console.log(`Posted to ${channel.type} channel ${channel.id} (HTTP ${response.status})`);
+      results.push({ channel: channel.id, ok: true, status: response.status });
+    } catch (error) {
+      const status = error.response ? error.response.status : undefined;
+      console.error(`Posting to channel ${channel.id} failed:`, status ? `HTTP ${status}` : error.message);
+      results.push({ channel: channel.id, ok: false, status, error: error.message });
+    }
+  }
+  return results;
+}
+
+// 429 responses are retried after the Retry-After header (or Discord's retry_after body field),
+// falling back to exponential backoff; anything else fails straight away
+async function post(url, payload) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios.post(url, payload, { timeout: 10000 });
+    } catch (error) {
+      if (!error.response || error.response.status !== 429 || attempt >= RETRIES) throw error;
+
+      const delay = Math.min(retryAfterMs(error.response) || RETRY_BASE_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+      console.warn(`Webhook rate limited, retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function retryAfterMs(response) {
+  const header = parseFloat(response.headers['retry-after']);
+  if (header > 0) return header * 1000;
+
+  const body = response.data && typeof response.data === 'object' ? parseFloat(response.data.retry_after) : NaN;
+  return body > 0 ? body * 1000 : null;
+}
+
+// Webhook URLs are secrets, so a channel may name an environment variable instead
+function webhookUrl(channel) {
+  const url = channel.url || process.env[channel.urlEnv];
+  if (!url) throw new Error(`No webhook URL (set ${channel.urlEnv || 'url'})`);
+  return url;
+}
+
+function subscribesTo(channel, event) {
+  return (channel.events || EVENTS).includes(event);
+}
+
+function validateChannelConfig(value) {
+  if (!value || typeof value !== 'object') return ['config must be a JSON object'];
+  if (!Array.isArray(value.channels)) return ['channels must be a list'];
+
+  const errors = [];
+  const ids = new Set();
+  value.channels.forEach((channel, index) => {
+    const label = `channels[${index}]${channel && channel.id ? ` (${channel.id})` : ''}`;
+    errors.push(...validateChannel(channel).map(error => `${label}: ${error}`));
+    if (channel && ids.has(channel.id)) errors.push(`${label}: duplicate id`);
+    if (channel) ids.add(channel.id);
+  });
+  return errors;
+}
+
+function validateChannel(channel) {
+  if (!channel || typeof channel !== 'object') return ['must be an object'];
+
+  const errors = [];
+  if (typeof channel.id !== 'string' || !/^[a-z0-9-]+$/.test(channel.id)) {
+    errors.push('id must be lowercase letters, digits and dashes');
+  }
+  if (!formatters[channel.type]) {
+    errors.push(`type must be one of ${Object.keys(formatters).join(', ')}`);
+  }
+  if (channel.url !== undefined && !/^https?:\/\//.test(String(channel.url))) {
+    errors.push('url must be an http(s) URL');
+  }
+  if (channel.url === undefined && (typeof channel.urlEnv !== 'string' || channel.urlEnv === '')) {
+    errors.push('needs a url or a urlEnv naming the environment variable that holds it');
+  }
+  if (channel.enabled !== undefined && typeof channel.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  if (channel.events !== undefined && !(Array.isArray(channel.events) && channel.events.every(event => EVENTS.includes(event)))) {
+    errors.push(`events must be a list of ${EVENTS.join(', ')}`);
+  }
+  if (channel.editions !== undefined && !(Array.isArray(channel.editions) && channel.editions.every(edition => typeof edition === 'string'))) {
+    errors.push('editions must be a list of edition ids');
+  }
+  return errors;
+}
+
+module.exports = {
+  getChannels,
+  postBrief,
+  postAlert,
+  postToChannel
+};
@@ -0,0 +1,64 @@
+const { renderSubject, renderAlertSubject, safeUrl } = require('../renderer');
+
+// Slack caps a section's text at 3000 characters and a message at 50 blocks
+const MAX_SECTION_TEXT = 3000;
+const MAX_BLOCKS = 50;
+
+// Block Kit message for an incoming webhook
+function formatBrief(briefData, settings) {
+  const title = renderSubject(briefData);
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncate(title, 150) } },
+    ...briefData.alerts.map(alert => section(`:rotating_light: *${escape(settings.sections.developing)}:* ${escape(alert.summary || alert.title)} ${sourceLink(alert)}`)),
+    section(`*${escape(settings.sections.glance)}*\n${escape(briefData.summary)}`),
+    { type: 'divider' },
+    section(`*${escape(settings.sections.topStories)}*`),
+    ...briefData.topStories.map((story, index) => section(
+      `*${index + 1}. ${link(story.url, story.title)}*\n${escape(story.summary)}\n_${escape(story.source)}_`
+    ))
+  ];
+
+  if (briefData.alsoNoted.length > 0) {
+    blocks.push(section(`*${escape(settings.sections.alsoNoted)}*\n${briefData.alsoNoted
+      .map(story => `• ${link(story.url, story.title)} (${escape(story.source)})`)
+      .join('\n')}`));
+  }
+
+  return { text: title, blocks: blocks.slice(0, MAX_BLOCKS) };
+}
+
+function formatAlert(story, settings) {
+  const title = renderAlertSubject(story);
+  return {
+    text: title,
+    blocks: [
+      section(`:rotating_light: *${escape(settings.alertTitle)}*\n*${link(story.url, story.title)}*`),
+      ...(story.summary ? [section(escape(story.summary))] : []),
+      { type: 'context', elements: [{ type: 'mrkdwn', text: escape(story.source) }] }
+    ]
+  };
+}
+
+function section(text) {
+  return { type: 'section', text: { type: 'mrkdwn', text: truncate(text, MAX_SECTION_TEXT) } };
+}
+
+function link(url, text) {
+  const safe = safeUrl(url);
+  return safe ? `<${safe}|${escape(text)}>` : escape(text);
+}
+
+function sourceLink(story) {
+  return `(${link(story.url, story.source)})`;
+}
+
+// Slack mrkdwn only needs &, < and > escaped
+function escape(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+module.exports = { name: 'slack', formatBrief, formatAlert };
@@ -0,0 +1,77 @@
+const { renderSubject, renderAlertSubject, safeUrl } = require('../renderer');
+
+// Adaptive Card wrapped in the message envelope Teams incoming webhooks and workflows expect
+function formatBrief(briefData, settings) {
+  const body = [
+    { type: 'TextBlock', text: renderSubject(briefData), size: 'Large', weight: 'Bolder', wrap: true },
+    ...briefData.alerts.map(alert => ({
+      type: 'Container',
+      style: 'warning',
+      items: [{
+        type: 'TextBlock',
+        text: `**${settings.sections.developing}:** ${escape(alert.summary || alert.title)} (${link(alert.url, alert.source)})`,
+        wrap: true
+      }]
+    })),
+    heading(settings.sections.glance),
+    { type: 'TextBlock', text: escape(briefData.summary), wrap: true },
+    heading(settings.sections.topStories),
+    ...briefData.topStories.map((story, index) => ({
+      type: 'TextBlock',
+      text: `**${index + 1}. ${link(story.url, story.title)}**\n\n${escape(story.summary)}\n\n_${escape(story.source)}_`,
+      wrap: true,
+      spacing: 'Medium'
+    }))
+  ];
+
+  if (briefData.alsoNoted.length > 0) {
+    body.push(heading(settings.sections.alsoNoted), {
+      type: 'TextBlock',
+      text: briefData.alsoNoted.map(story => `- ${link(story.url, story.title)} (${escape(story.source)})`).join('\n'),
+      wrap: true
+    });
+  }
+
+  return card(body);
+}
+
+function formatAlert(story) {
+  return card([
+    { type: 'TextBlock', text: renderAlertSubject(story), size: 'Large', weight: 'Bolder', color: 'Attention', wrap: true },
+    ...(story.summary ? [{ type: 'TextBlock', text: escape(story.summary), wrap: true }] : []),
+    { type: 'TextBlock', text: link(story.url, story.source), isSubtle: true, wrap: true }
+  ]);
+}
+
+function card(body) {
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body
+      }
+    }]
+  };
+}
+
+function heading(text) {
+  return { type: 'TextBlock', text, weight: 'Bolder', size: 'Medium', spacing: 'Large', wrap: true };
+}
+
+// Square brackets would end the link text early, so they're dropped from it
+function link(url, text) {
+  const safe = safeUrl(url);
+  return safe ? `[${escape(text).replace(/[[\]]/g, '')}](${safe})` : escape(text);
+}
+
+// TextBlocks render a small markdown subset. Scraped text is passed through minus the emphasis
+// markers that could turn the rest of a line bold or italic.
+function escape(text) {
+  return String(text || '').replace(/[*_]/g, ' ').replace(/ {2,}/g, ' ').trim();
+}
+
+module.exports = { name: 'teams', formatBrief, formatAlert };
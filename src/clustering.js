@@ -0,0 +1,90 @@
+const stringSimilarity = require('string-similarity');
+
+const TITLE_SIMILARITY = parseFloat(process.env.CLUSTER_TITLE_SIMILARITY) || 0.55;
+const TERM_OVERLAP = parseFloat(process.env.CLUSTER_TERM_OVERLAP) || 0.5;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'new', 'of', 'on', 'or', 'says', 'that', 'the', 'this', 'to', 'was', 'will', 'with'
+]);
+
+// Groups articles about the same event. Each cluster is returned as its best representative
+// (official source first, then the earliest publisher) with the other outlets attached as
+// `alsoCoveredBy` and the number of distinct outlets as `coverageCount`.
+function clusterArticles(articles) {
+  const clusters = [];
+
+  for (const article of articles) {
+    const articleTerms = titleTerms(article.title);
+    const cluster = clusters.find(candidate => candidate.some(member => isSameStory(member, article, articleTerms)));
+
+    if (cluster) {
+      cluster.push(article);
+    } else {
+      clusters.push([article]);
+    }
+  }
+
+  return clusters.map(buildStory);
+}
+
+// Whether two articles read as coverage of the same event
+function sameStory(a, b) {
+  return isSameStory(a, b, titleTerms(b.title));
+}
+
+function isSameStory(member, article, articleTerms) {
+  const titleScore = stringSimilarity.compareTwoStrings(member.title.toLowerCase(), article.title.toLowerCase());
+  if (titleScore >= TITLE_SIMILARITY) return true;
+
+  const memberTerms = titleTerms(member.title);
+  const shared = [...articleTerms].filter(term => memberTerms.has(term)).length;
+  const union = new Set([...articleTerms, ...memberTerms]).size;
+  return union > 0 && shared >= 3 && shared / union >= TERM_OVERLAP;
+}
+
+// Members that are already stories (e.g. from an archived brief) bring their earlier coverage along
+function buildStory(members) {
+  const [representative, ...others] = [...members].sort(compareRepresentatives);
+  const coverage = new Map();
+  for (const other of [...others, ...members.flatMap(member => member.alsoCoveredBy || [])]) {
+    if (other.id !== representative.id && !coverage.has(other.id)) {
+      coverage.set(other.id, {
+        id: other.id,
+        title: other.title,
+        source: other.source,
+        url: other.url,
+        publishedAt: other.publishedAt
+      });
+    }
+  }
+  const outlets = new Set([representative.source, ...[...coverage.values()].map(other => other.source)]);
+
+  return {
+    ...representative,
+    isAlert: members.some(member => member.isAlert),
+    // Every park and operator any outlet mentioned, the representative's first
+    entities: [...new Set([representative, ...others].flatMap(member => member.entities || []))],
+    coverageCount: outlets.size,
+    alsoCoveredBy: [...coverage.values()]
+  };
+}
+
+function compareRepresentatives(a, b) {
+  if (Boolean(a.official) !== Boolean(b.official)) return a.official ? -1 : 1;
+
+  const timeA = a.publishedAt ? new Date(a.publishedAt).getTime() : Infinity;
+  const timeB = b.publishedAt ? new Date(b.publishedAt).getTime() : Infinity;
+  return timeA - timeB;
+}
+
+function titleTerms(title) {
+  return new Set(
+    title
+      .toLowerCase()
+      .split(/[^a-z0-9']+/)
+      .filter(term => term.length > 2 && !STOPWORDS.has(term))
+  );
+}
+
+module.exports = { clusterArticles, sameStory, titleTerms };
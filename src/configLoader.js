@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./storage');
+
+const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, '..', 'config');
+const POLL_INTERVAL_MS = 2000;
+
+// Loads config/<name>.json through a validator and reloads it whenever the file changes.
+// An edit that fails validation is logged and the last good version stays in effect.
+function createConfig(name, validate) {
+  const file = path.join(CONFIG_DIR, `${name}.json`);
+  let current = null;
+  let watching = false;
+  const listeners = [];
+
+  function read() {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validate(parsed);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid ${name} config:\n  - ${errors.join('\n  - ')}`);
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+    return parsed;
+  }
+
+  function get() {
+    if (!current) {
+      current = read();
+      watch();
+    }
+    return current;
+  }
+
+  function watch() {
+    if (watching) return;
+    watching = true;
+
+    fs.watchFile(file, { interval: POLL_INTERVAL_MS, persistent: false }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try {
+        current = read();
+        console.log(`Reloaded ${name} config`);
+        listeners.forEach(listener => listener(current));
+      } catch (error) {
+        console.error(`Keeping previous ${name} config:`, error.message);
+      }
+    });
+  }
+
+  async function save(config) {
+    const errors = validate(config);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid ${name} config: ${errors.join('; ')}`);
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+
+    await writeFileAtomic(file, JSON.stringify(config, null, 2) + '\n');
+    current = config;
+    listeners.forEach(listener => listener(current));
+    return config;
+  }
+
+  // Called with the new config after every successful reload or save
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  return { get, save, onChange };
+}
+
+module.exports = { CONFIG_DIR, createConfig };
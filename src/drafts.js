@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJson, writeJson } = require('./storage');
+const entities = require('./entities');
+
+const DRAFTS_DIR = dataPath('drafts');
+const DRAFT_ID_PATTERN = /^\d{8}T\d{9}Z-[0-9a-f]{8}$/;
+const EDITABLE_FIELDS = ['title', 'summary'];
+// The write in progress for each draft; see serialize()
+const writing = new Map();
+
+// A draft is a generated brief waiting for an editor, stored as data/drafts/<run id>.json.
+// Edits change draft.briefData in place and are listed in draft.changes; only pending drafts
+// can be edited. Status: pending, published or discarded.
+async function createDraft(briefData, { runId, edition, deadline }) {
+  const draft = {
+    id: runId,
+    edition,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    deadline,
+    briefData,
+    changes: []
+  };
+  await saveDraft(draft);
+  return draft;
+}
+
+async function getDraft(id) {
+  if (!DRAFT_ID_PATTERN.test(id)) return null;
+  return readJson(path.join(DRAFTS_DIR, `${id}.json`), null);
+}
+
+// Newest first
+async function listDrafts({ status = null, limit = 20 } = {}) {
+  let files = [];
+  try {
+    files = (await fs.promises.readdir(DRAFTS_DIR)).filter(file => DRAFT_ID_PATTERN.test(file.replace(/\.json$/, '')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const drafts = [];
+  for (const file of files.sort().reverse()) {
+    if (drafts.length >= limit) break;
+    const draft = await readJson(path.join(DRAFTS_DIR, file), null);
+    if (draft && (!status || draft.status === status)) drafts.push(draft);
+  }
+  return drafts;
+}
+
+async function editStory(id, storyId, fields = {}) {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (fields[field] === undefined) continue;
+    if (typeof fields[field] !== 'string' || fields[field].trim() === '') {
+      throw httpError(400, `${field} must be a non-empty string`);
+    }
+    updates[field] = fields[field].trim();
+  }
+  if (Object.keys(updates).length === 0) throw httpError(400, `Nothing to change; send ${EDITABLE_FIELDS.join(' and/or ')}`);
+
+  return update(id, draft => {
+    const { story } = findStory(draft, storyId);
+    Object.assign(story, updates, { edited: true });
+    return { action: 'edit', storyId, ...updates };
+  });
+}
+
+async function removeStory(id, storyId) {
+  return update(id, draft => {
+    const { list, index, story } = findStory(draft, storyId);
+    list.splice(index, 1);
+    return { action: 'remove', storyId, title: story.title, url: story.url };
+  });
+}
+
+// A pinned story moves to the top of the top stories, after any stories pinned before it.
+// Pinning one from "also noted" bumps the last top story down to keep the section sizes.
+async function pinStory(id, storyId) {
+  return update(id, draft => {
+    const { topStories, alsoNoted } = draft.briefData;
+    const { list, index, story } = findStory(draft, storyId, [topStories, alsoNoted]);
+    list.splice(index, 1);
+    if (list === alsoNoted && topStories.length > 0) alsoNoted.unshift(topStories.pop());
+
+    story.pinned = true;
+    const firstUnpinned = topStories.findIndex(other => !other.pinned);
+    topStories.splice(firstUnpinned === -1 ? topStories.length : firstUnpinned, 0, story);
+    return { action: 'pin', storyId };
+  });
+}
+
+async function unpinStory(id, storyId) {
+  return update(id, draft => {
+    const { story } = findStory(draft, storyId);
+    delete story.pinned;
+    delete story.pinRule;
+    return { action: 'unpin', storyId };
+  });
+}
+
+// Sets the order of both sections at once; together they must list the same stories as now
+async function reorder(id, { topStories, alsoNoted = [] } = {}) {
+  if (!Array.isArray(topStories) || !Array.isArray(alsoNoted)) {
+    throw httpError(400, 'topStories and alsoNoted must be lists of story ids');
+  }
+
+  return update(id, draft => {
+    const current = [...draft.briefData.topStories, ...draft.briefData.alsoNoted];
+    const requested = [...topStories, ...alsoNoted];
+    const known = new Set(current.map(story => story.id));
+    if (requested.length !== current.length || new Set(requested).size !== requested.length || !requested.every(storyId => known.has(storyId))) {
+      throw httpError(400, 'The new order must list every top and also-noted story exactly once');
+    }
+
+    const byId = new Map(current.map(story => [story.id, story]));
+    draft.briefData.topStories = topStories.map(storyId => byId.get(storyId));
+    draft.briefData.alsoNoted = alsoNoted.map(storyId => byId.get(storyId));
+    return { action: 'reorder', topStories, alsoNoted };
+  });
+}
+
+// The "at a glance" overview; it was written for the original top stories, so editors may need to fix it
+async function setSummary(id, summary) {
+  if (typeof summary !== 'string' || summary.trim() === '') throw httpError(400, 'summary must be a non-empty string');
+  return update(id, draft => {
+    draft.briefData.summary = summary.trim();
+    return { action: 'summary' };
+  });
+}
+
+// Closes a pending draft: published (by an editor or at the deadline) or discarded. Returns the
+// draft as closed, with every edit saved before it.
+async function closeDraft(id, status, details = {}) {
+  return serialize(id, async () => {
+    const draft = await getDraft(id);
+    if (!draft) return null;
+    if (draft.status !== 'pending') throw httpError(409, `Draft is already ${draft.status}`);
+    Object.assign(draft, { status, closedAt: new Date().toISOString(), ...details });
+    await saveDraft(draft);
+    return draft;
+  });
+}
+
+async function update(id, change) {
+  return serialize(id, async () => {
+    const draft = await getDraft(id);
+    if (!draft) throw httpError(404, 'Draft not found');
+    if (draft.status !== 'pending') throw httpError(409, `Draft is already ${draft.status}`);
+
+    const entry = change(draft);
+    draft.changes.push({ at: new Date().toISOString(), ...entry });
+    // Operator sections follow the edited order
+    if (draft.briefData.sections) draft.briefData.sections = entities.groupByOperator(draft.briefData.topStories);
+    await saveDraft(draft);
+    return draft;
+  });
+}
+
+// Runs one read-modify-write of a draft after any already under way, so two edits, or an edit
+// and a close, can't each save over the other. Only this process writes drafts.
+function serialize(id, work) {
+  const result = (writing.get(id) || Promise.resolve()).then(work);
+  const done = result.catch(() => {});
+  writing.set(id, done);
+  done.then(() => {
+    if (writing.get(id) === done) writing.delete(id);
+  });
+  return result;
+}
+
+function findStory(draft, storyId, lists = [draft.briefData.topStories, draft.briefData.alsoNoted, draft.briefData.alerts]) {
+  for (const list of lists) {
+    const index = list.findIndex(story => story.id === storyId);
+    if (index !== -1) return { list, index, story: list[index] };
+  }
+  throw httpError(404, 'Story not found in this draft');
+}
+
+async function saveDraft(draft) {
+  await writeJson(path.join(DRAFTS_DIR, `${draft.id}.json`), draft);
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  createDraft,
+  getDraft,
+  listDrafts,
+  editStory,
+  removeStory,
+  pinStory,
+  unpinStory,
+  reorder,
+  setSummary,
+  closeDraft
+};
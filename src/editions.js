@@ -0,0 +1,115 @@
+const cron = require('node-cron');
+const cronParser = require('cron-parser');
+const { createConfig } = require('./configLoader');
+const { listTemplates } = require('./renderer');
+
+const config = createConfig('editions', validateEditionConfig);
+
+const DEFAULTS = {
+  enabled: true,
+  timezone: 'America/Los_Angeles',
+  lookbackHours: 48,
+  topStories: 10,
+  alsoNoted: 5,
+  template: null,
+  title: null,
+  includeArchive: false,
+  groupBy: null,
+  review: false,
+  reviewDeadlineMinutes: 60
+};
+const GROUPINGS = ['operator'];
+
+function getEditions({ enabledOnly = false } = {}) {
+  const editions = config.get().editions.map(edition => ({ ...DEFAULTS, ...edition }));
+  return enabledOnly ? editions.filter(edition => edition.enabled) : editions;
+}
+
+// Unknown ids are a caller mistake, so they fail with a 400 rather than falling back to daily
+function getEdition(id = 'daily') {
+  const edition = getEditions().find(candidate => candidate.id === id);
+  if (!edition) {
+    const error = new Error(`Unknown edition "${id}" (available: ${getEditions().map(candidate => candidate.id).join(', ')})`);
+    error.status = 400;
+    throw error;
+  }
+  return edition;
+}
+
+// When the edition's cron expression next fires, evaluated in the edition's own time zone
+function nextRunTime(edition, from = new Date()) {
+  return cronParser.parseExpression(edition.cron, { currentDate: from, tz: edition.timezone }).next().toDate().toISOString();
+}
+
+function onChange(listener) {
+  config.onChange(() => listener(getEditions()));
+}
+
+function validateEditionConfig(value) {
+  if (!value || typeof value !== 'object') return ['config must be a JSON object'];
+  if (!Array.isArray(value.editions) || value.editions.length === 0) return ['editions must be a non-empty list'];
+
+  const errors = [];
+  const ids = new Set();
+  value.editions.forEach((edition, index) => {
+    const label = `editions[${index}]${edition && edition.id ? ` (${edition.id})` : ''}`;
+    errors.push(...validateEdition(edition).map(error => `${label}: ${error}`));
+    if (edition && ids.has(edition.id)) errors.push(`${label}: duplicate id`);
+    if (edition) ids.add(edition.id);
+  });
+  return errors;
+}
+
+function validateEdition(edition) {
+  if (!edition || typeof edition !== 'object') return ['must be an object'];
+
+  const errors = [];
+  if (typeof edition.id !== 'string' || !/^[a-z0-9-]+$/.test(edition.id)) {
+    errors.push('id must be lowercase letters, digits and dashes');
+  }
+  if (typeof edition.cron !== 'string' || !cron.validate(edition.cron)) {
+    errors.push('cron must be a valid cron expression');
+  }
+  if (edition.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: edition.timezone });
+    } catch {
+      errors.push(`unknown timezone "${edition.timezone}"`);
+    }
+  }
+  if (edition.lookbackHours !== undefined && !(typeof edition.lookbackHours === 'number' && edition.lookbackHours > 0)) {
+    errors.push('lookbackHours must be a positive number');
+  }
+  if (edition.topStories !== undefined && !(Number.isInteger(edition.topStories) && edition.topStories > 0)) {
+    errors.push('topStories must be a positive whole number');
+  }
+  if (edition.alsoNoted !== undefined && !(Number.isInteger(edition.alsoNoted) && edition.alsoNoted >= 0)) {
+    errors.push('alsoNoted must be a whole number');
+  }
+  if (edition.template !== undefined && edition.template !== null && !listTemplates().includes(edition.template)) {
+    errors.push(`template must be one of ${listTemplates().join(', ')}`);
+  }
+  if (edition.title !== undefined && edition.title !== null && typeof edition.title !== 'string') {
+    errors.push('title must be a string');
+  }
+  if (edition.groupBy !== undefined && edition.groupBy !== null && !GROUPINGS.includes(edition.groupBy)) {
+    errors.push(`groupBy must be one of ${GROUPINGS.join(', ')}`);
+  }
+  if (edition.reviewDeadlineMinutes !== undefined && !(typeof edition.reviewDeadlineMinutes === 'number' && edition.reviewDeadlineMinutes > 0)) {
+    errors.push('reviewDeadlineMinutes must be a positive number');
+  }
+  for (const flag of ['enabled', 'includeArchive', 'review']) {
+    if (edition[flag] !== undefined && typeof edition[flag] !== 'boolean') {
+      errors.push(`${flag} must be true or false`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  getEditions,
+  getEdition,
+  nextRunTime,
+  onChange
+};
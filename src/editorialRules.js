@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { findPhrase } = require('./entities');
+
+const RULES_FILE = dataPath('editorial-rules.json');
+const ACTIONS = ['block', 'pin'];
+const MATCHERS = ['url', 'phrase', 'source'];
+
+// Standing editor decisions that apply to every future run: "block" drops matching articles
+// before ranking, "pin" moves matching stories to the top of the brief. A rule matches one of
+// a canonical URL, a whole-word phrase in the headline or excerpt, or a source name or ID.
+async function listRules() {
+  return readJson(RULES_FILE, []);
+}
+
+async function addRule(input = {}) {
+  const errors = [];
+  if (!ACTIONS.includes(input.action)) errors.push(`action must be one of ${ACTIONS.join(', ')}`);
+  const matchers = MATCHERS.filter(key => input[key] !== undefined);
+  if (matchers.length !== 1) {
+    errors.push(`give exactly one of ${MATCHERS.join(', ')}`);
+  } else if (typeof input[matchers[0]] !== 'string' || input[matchers[0]].trim() === '') {
+    errors.push(`${matchers[0]} must be a non-empty string`);
+  }
+  if (input.note !== undefined && typeof input.note !== 'string') errors.push('note must be a string');
+  if (errors.length > 0) {
+    const error = new Error(errors.join('; '));
+    error.status = 400;
+    error.details = errors;
+    throw error;
+  }
+
+  const [matcher] = matchers;
+  const rules = await listRules();
+  const value = matcher === 'url' ? canonicalUrl(input.url) : input[matcher].trim();
+  const existing = rules.find(rule => rule.action === input.action && rule[matcher] === value);
+  if (existing) return existing;
+
+  const rule = {
+    id: crypto.randomBytes(6).toString('hex'),
+    action: input.action,
+    [matcher]: value,
+    ...(input.note && { note: input.note }),
+    createdAt: new Date().toISOString()
+  };
+  rules.push(rule);
+  await writeJson(RULES_FILE, rules);
+  return rule;
+}
+
+async function removeRule(id) {
+  const rules = await listRules();
+  const remaining = rules.filter(rule => rule.id !== id);
+  if (remaining.length === rules.length) return false;
+  await writeJson(RULES_FILE, remaining);
+  return true;
+}
+
+// The first rule with this action that matches the article (or any outlet in its cluster)
+function findMatch(rules, action, article) {
+  const urls = [article.url, ...(article.alsoCoveredBy || []).map(other => other.url)].filter(Boolean).map(canonicalUrl);
+  const text = `${article.title} ${article.excerpt || article.summary || ''}`.toLowerCase();
+  const sources = [article.source, article.sourceId].filter(Boolean).map(source => source.toLowerCase());
+
+  return rules.find(rule => rule.action === action && (
+    (rule.url && urls.includes(rule.url)) ||
+    (rule.phrase && findPhrase(text, rule.phrase.toLowerCase()).length > 0) ||
+    (rule.source && sources.includes(rule.source.toLowerCase()))
+  )) || null;
+}
+
+// Pinned stories go first, in ranking order, each marked with `pinned` and the rule that pinned it
+function applyPins(stories, rules) {
+  const pinned = [];
+  const rest = [];
+  for (const story of stories) {
+    const rule = findMatch(rules, 'pin', story);
+    if (rule) pinned.push({ ...story, pinned: true, pinRule: rule.id });
+    else rest.push(story);
+  }
+  return [...pinned, ...rest];
+}
+
+function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.toString();
+  } catch {
+    return String(url).trim();
+  }
+}
+
+module.exports = {
+  listRules,
+  addRule,
+  removeRule,
+  findMatch,
+  applyPins
+};
@@ -1,143 +1,158 @@
-const { google } = require('googleapis');
+const { getTransport } = require('./transports');
+const { getRecipients, personalizeBrief } = require('./subscribers');
+const { buildMessage } = require('./mimeBuilder');
+const { renderBrief, renderSubject, renderAlert, renderAlertSubject, escapeHtml } = require('./renderer');
 
-async function sendEmail(briefData) {
-  try {
-    const auth = await authorize();
-    const gmail = google.gmail({ version: 'v1', auth });
-    
-    const htmlContent = generateEmailHTML(briefData);
-    const rawEmail = createRawEmail(htmlContent);
+const EMAIL_FROM = process.env.EMAIL_FROM || 'jtracy@themeparkmagazine.com';
+const EMAIL_FROM_NAME = process.env.EMAIL_FROM_NAME || 'Theme Park News Brief';
+const EMAIL_TO = process.env.EMAIL_TO || 'joetracy@earthlink.net';
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+// Sends one personalized copy of the brief to every subscriber, or just to options.recipients
+// (subscriber records) or options.to (any address, sent unfiltered)
+async function sendEmail(briefData, options = {}) {
+  return deliver(options, recipient => {
+    const personalBrief = personalizeBrief(briefData, recipient);
+    if (recipient.alertsOnly && personalBrief.alerts.length === 0) return null;
     
-    const result = await gmail.users.messages.send({
-      userId: 'me',
-      requestBody: {
-        raw: rawEmail,
-      },
+    return createRawEmail(personalBrief, {
+      to: recipient,
+      timeZone: recipient.timezone,
+      unsubscribeUrl: unsubscribeUrl(recipient),
+      template: options.template || recipient.template
     });
+  });
+}
+
+// Sends the short breaking-news email for one story to every subscriber, alerts-only included
+async function sendAlertEmail(story, options = {}) {
+  return deliver(options, recipient => {
+    const renderOptions = {
+      timeZone: recipient.timezone,
+      unsubscribeUrl: unsubscribeUrl(recipient),
+      template: options.template || recipient.template
+    };
     
-    console.log('Email sent successfully:', result.data.id);
-    return result.data;
-    
-  } catch (error) {
-    console.error('Error sending email:', error);
-    throw error;
-  }
+    return buildMessage({
+      from: { name: EMAIL_FROM_NAME, email: EMAIL_FROM },
+      to: { name: recipient.name, email: recipient.email },
+      subject: renderAlertSubject(story),
+      text: renderAlert(story, { ...renderOptions, format: 'text' }),
+      html: renderAlert(story, { ...renderOptions, format: 'html' }),
+      headers: listUnsubscribeHeaders(renderOptions.unsubscribeUrl)
+    });
+  });
 }
 
-async function authorize() {
-  const credentials = {
-    installed: {
-      client_id: process.env.GOOGLE_CLIENT_ID,
-      client_secret: process.env.GOOGLE_CLIENT_SECRET,
-      redirect_uris: [process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/auth/callback']
+// Builds and sends one message per recipient; buildRaw returns null to skip someone
+async function deliver(options, buildRaw) {
+  const transport = getTransport(options.transport);
+  let recipients = options.recipients || await getRecipients(EMAIL_TO);
+  
+  if (options.to) {
+    const email = options.to.toLowerCase();
+    const match = recipients.find(recipient => recipient.email === email);
+    recipients = [match || { email, name: '', categories: [], parks: [], alertsOnly: false }];
+  }
+  
+  const results = [];
+  for (const recipient of recipients) {
+    try {
+      const raw = buildRaw(recipient);
+      if (!raw) {
+        results.push({ email: recipient.email, skipped: true });
+        continue;
+      }
+      
+      const result = await transport.send({ from: EMAIL_FROM, to: [recipient.email], raw });
+      console.log(`Email sent to ${recipient.email} via ${transport.name}:`, result.messageId);
+      results.push({ email: recipient.email, messageId: result.messageId });
+    } catch (error) {
+      console.error(`Error sending email to ${recipient.email}:`, error);
+      results.push({ email: recipient.email, error: error.message });
     }
-  };
+  }
   
-  const { client_secret, client_id, redirect_uris } = credentials.installed;
-  const oAuth2Client = new google.auth.OAuth2(client_id, client_secret, redirect_uris[0]);
+  const sent = results.filter(result => result.messageId);
+  const failed = results.filter(result => result.error);
+  if (sent.length === 0 && failed.length > 0) {
+    const error = new Error(`Email delivery failed for every recipient: ${failed[0].error}`);
+    error.results = results;
+    throw error;
+  }
   
-  const token = {
-    access_token: process.env.GOOGLE_ACCESS_TOKEN,
-    refresh_token: process.env.GOOGLE_REFRESH_TOKEN,
-    scope: 'https://www.googleapis.com/auth/gmail.send',
-    token_type: 'Bearer'
+  return {
+    messageId: sent.length > 0 ? sent[0].messageId : null,
+    messageIds: sent.map(result => result.messageId),
+    sent: sent.length,
+    failed: failed.length,
+    skipped: results.length - sent.length - failed.length,
+    results
   };
-  
-  oAuth2Client.setCredentials(token);
-  return oAuth2Client;
 }
 
-function generateEmailHTML(briefData) {
-  const today = new Date();
-  const dateStr = today.toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  });
+function generateEmailHTML(briefData, options = {}) {
+  return renderBrief(briefData, { ...options, format: 'html' });
+}
 
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <style>
-        body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; line-height: 1.6; }
-        h1 { color: #3081c3; border-bottom: 2px solid #3081c3; padding-bottom: 10px; }
-        h2 { color: #3081c3; margin-top: 30px; font-weight: bold; }
-        .developing { background-color: #fff3cd; padding: 15px; border-left: 4px solid #ffc107; margin: 20px 0; }
-        .glance { background-color: #f8f9fa; padding: 20px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #3ec0c2; }
-        .story { margin: 15px 0; }
-        .story-number { font-weight: bold; color: #3081c3; }
-        .story-title { font-weight: bold; color: #333; }
-        .story-content { margin-top: 5px; }
-        .source-info { margin-top: 8px; font-size: 14px; color: #666; }
-        .source-link { color: #3081c3; text-decoration: none; }
-        .source-link:hover { text-decoration: underline; }
-        ul { padding-left: 20px; }
-        li { margin: 10px 0; }
-        .footer { margin-top: 40px; padding-top: 20px; border-top: 1px solid #ddd; font-size: 12px; color: #666; }
-    </style>
-</head>
-<body>
-    <h1>Theme Park News Brief for ${dateStr}</h1>
-    
-    ${briefData.alerts.length > 0 ? `
-    <div class="developing">
-        <strong>Developing:</strong> ${briefData.alerts[0].summary} 
-        <div class="source-info">Source: ${briefData.alerts[0].source} / <a href="${briefData.alerts[0].url}" class="source-link">LINK</a></div>
-    </div>
-    ` : ''}
-    
-    <h2>Today at a Glance</h2>
-    <div class="glance">
-        ${briefData.summary}
-    </div>
-    
-    <h2>Top Stories</h2>
-    ${briefData.topStories.map((story, index) => `
-    <div class="story">
-        <div><span class="story-number">${index + 1}.</span> <span class="story-title">${story.title}</span></div>
-        <div class="story-content">${story.summary}</div>
-        <div class="source-info">Source: ${story.source} / <a href="${story.url}" class="source-link">LINK</a></div>
-    </div>
-    `).join('')}
-    
-    ${briefData.alsoNoted.length > 0 ? `
-    <h2>Also Noted</h2>
-    <ul>
-        ${briefData.alsoNoted.map(item => `
-        <li>${item.summary}
-        <div class="source-info">Source: ${item.source} / <a href="${item.url}" class="source-link">LINK</a></div>
-        </li>
-        `).join('')}
-    </ul>
-    ` : ''}
-    
-    <h2>What's Next</h2>
-    <ul>
-        <li>Check back tomorrow for the latest theme park and themed experience news.</li>
-    </ul>
-    
-    <div class="footer">
-        Part of the Theme Park Magazine network — <a href="https://themeparkmagazine.com" class="source-link">Theme Park Magazine</a>
-    </div>
-</body>
-</html>`;
+function generateEmailText(briefData, options = {}) {
+  return renderBrief(briefData, { ...options, format: 'text' });
 }
 
-function createRawEmail(htmlContent) {
-  const email = [
-    'Content-Type: text/html; charset="UTF-8"',
-    'MIME-Version: 1.0',
-    `To: joetracy@earthlink.net`,
-    `From: jtracy@themeparkmagazine.com`,
-    `Subject: Theme Park News Brief for ${new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}`,
-    '',
-    htmlContent
-  ].join('\n');
+// Preview-only appendix listing what the filters threw out and why
+function generatePreviewHTML(briefData, options = {}) {
+  const dropped = briefData.dropped || [];
+  const rows = dropped.map(item => `
+        <tr>
+            <td>${escapeHtml(item.reason)}</td>
+            <td>${escapeHtml(item.title)}</td>
+            <td>${escapeHtml(item.source)}</td>
+            <td>${escapeHtml(item.detail || '')}</td>
+        </tr>`).join('');
+  
+  const report = `
+    <div class="preview-report" style="margin-top: 40px; font-size: 13px;">
+        <h2>Dropped Articles (${dropped.length})</h2>
+        <table style="border-collapse: collapse; width: 100%;">
+            <tr><th align="left">Reason</th><th align="left">Title</th><th align="left">Source</th><th align="left">Detail</th></tr>${rows}
+        </table>
+    </div>
+</body>`;
   
-  return Buffer.from(email).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return generateEmailHTML(briefData, options).replace('</body>', report);
+}
+
+function unsubscribeUrl(recipient) {
+  return recipient.unsubscribeToken ? `${PUBLIC_BASE_URL}/unsubscribe/${recipient.unsubscribeToken}` : null;
+}
+
+function listUnsubscribeHeaders(unsubscribeUrl) {
+  const headers = {};
+  if (unsubscribeUrl) {
+    headers['List-Unsubscribe'] = `<${unsubscribeUrl}>`;
+    headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+  }
+  return headers;
+}
+
+// `message` passes date, messageId and boundary through to buildMessage
+function createRawEmail(briefData, { to, timeZone, unsubscribeUrl, template, message = {} }) {
+  return buildMessage({
+    ...message,
+    from: { name: EMAIL_FROM_NAME, email: EMAIL_FROM },
+    to: { name: to.name, email: to.email },
+    subject: renderSubject(briefData, { timeZone }),
+    text: generateEmailText(briefData, { timeZone, unsubscribeUrl, template }),
+    html: generateEmailHTML(briefData, { timeZone, unsubscribeUrl, template }),
+    headers: listUnsubscribeHeaders(unsubscribeUrl)
+  });
+}
+
+// The current recipient with this address: a subscriber, or EMAIL_TO while there are none
+async function findRecipient(email) {
+  const recipients = await getRecipients(EMAIL_TO);
+  return recipients.find(recipient => recipient.email.toLowerCase() === email.toLowerCase()) || null;
 }
 
-module.exports = { sendEmail };
+module.exports = { sendEmail, sendAlertEmail, findRecipient, generateEmailHTML, generateEmailText, generatePreviewHTML, createRawEmail };
@@ -0,0 +1,151 @@
+const { createConfig } = require('./configLoader');
+const briefArchive = require('./briefArchive');
+
+const ENTITY_TYPES = ['operator', 'park', 'venue'];
+
+const config = createConfig('entities', validateEntityConfig);
+
+function getEntities() {
+  return config.get().entities;
+}
+
+function getEntity(slug) {
+  return getEntities().find(entity => entity.slug === slug) || null;
+}
+
+// Slugs of every entity the text mentions, in order of first mention. A park or venue also
+// tags its operator. Longer aliases win, so "Tokyo Disneyland" doesn't also count as Disneyland.
+function tagText(text) {
+  const lower = String(text || '').toLowerCase().replace(/[\u2018\u2019]/g, "'");
+  const matches = [];
+  for (const entity of getEntities()) {
+    for (const alias of entity.aliases) {
+      for (const index of findPhrase(lower, alias.toLowerCase())) {
+        matches.push({ entity, start: index, end: index + alias.length });
+      }
+    }
+  }
+
+  const accepted = [];
+  for (const match of matches.sort((a, b) => (b.end - b.start) - (a.end - a.start))) {
+    if (!accepted.some(other => match.start < other.end && other.start < match.end)) accepted.push(match);
+  }
+
+  const slugs = [];
+  for (const { entity } of accepted.sort((a, b) => a.start - b.start)) {
+    for (const slug of [entity.slug, entity.operator]) {
+      if (slug && !slugs.includes(slug)) slugs.push(slug);
+    }
+  }
+  return slugs;
+}
+
+// The operator a story is filed under: the first one it mentions
+function primaryOperator(slugs = []) {
+  return slugs.map(getEntity).find(entity => entity && entity.type === 'operator') || null;
+}
+
+// Splits ranked stories into one section per operator, ordered by each operator's best story.
+// Stories without an operator go in a last section with a null slug.
+function groupByOperator(stories) {
+  const sections = new Map();
+  const other = { slug: null, name: null, storyIds: [] };
+
+  for (const story of stories) {
+    const operator = primaryOperator(story.entities);
+    if (!operator) {
+      other.storyIds.push(story.id);
+      continue;
+    }
+    if (!sections.has(operator.slug)) sections.set(operator.slug, { slug: operator.slug, name: operator.name, storyIds: [] });
+    sections.get(operator.slug).storyIds.push(story.id);
+  }
+
+  return [...sections.values(), ...(other.storyIds.length > 0 ? [other] : [])];
+}
+
+// Stories from briefs archived in the last `days` days that mention the entity, newest first.
+// Each story is listed once, from the newest brief it was in. Briefs archived before stories
+// were tagged are tagged on the fly.
+async function getRecentStories(slug, { days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const stories = new Map();
+
+  for (const { date, edition, briefData } of await briefArchive.getBriefsSince(since)) {
+    for (const story of [...briefData.alerts, ...briefData.topStories, ...briefData.alsoNoted]) {
+      if (stories.has(story.id)) continue;
+      const tags = story.entities || tagText(`${story.title} ${story.excerpt || story.summary || ''}`);
+      if (!tags.includes(slug)) continue;
+
+      const { id, title, url, source, publishedAt, summary, category } = story;
+      stories.set(id, { id, title, url, source, publishedAt, summary, category, entities: tags, brief: { date, edition } });
+    }
+  }
+
+  return [...stories.values()].sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
+}
+
+// Whole-word matches only, so "Dollywood" counts in "Dollywood's" but "Epic Universe" doesn't in "Epic Universes"
+function findPhrase(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu');
+  return [...text.matchAll(pattern)].map(match => match.index);
+}
+
+function validateEntityConfig(value) {
+  if (!value || typeof value !== 'object') return ['config must be a JSON object'];
+  if (!Array.isArray(value.entities)) return ['entities must be a list'];
+
+  const errors = [];
+  const slugs = new Set(value.entities.map(entity => entity && entity.slug));
+  const seen = new Set();
+  value.entities.forEach((entity, index) => {
+    const label = `entities[${index}]${entity && entity.slug ? ` (${entity.slug})` : ''}`;
+    errors.push(...validateEntity(entity, value.entities).map(error => `${label}: ${error}`));
+    if (entity && seen.has(entity.slug)) errors.push(`${label}: duplicate slug`);
+    if (entity) seen.add(entity.slug);
+    if (entity && entity.operator !== undefined && !slugs.has(entity.operator)) {
+      errors.push(`${label}: unknown operator "${entity.operator}"`);
+    }
+  });
+  return errors;
+}
+
+function validateEntity(entity, all) {
+  if (!entity || typeof entity !== 'object') return ['must be an object'];
+
+  const errors = [];
+  if (typeof entity.slug !== 'string' || !/^[a-z0-9-]+$/.test(entity.slug)) {
+    errors.push('slug must be lowercase letters, digits and dashes');
+  }
+  if (typeof entity.name !== 'string' || entity.name.trim() === '') {
+    errors.push('name is required');
+  }
+  if (!ENTITY_TYPES.includes(entity.type)) {
+    errors.push(`type must be one of ${ENTITY_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(entity.aliases) || entity.aliases.length === 0 || entity.aliases.some(alias => typeof alias !== 'string' || alias.trim() === '')) {
+    errors.push('aliases must be a non-empty list of names');
+  }
+  if (entity.type === 'operator' && entity.operator !== undefined) {
+    errors.push('an operator cannot belong to another operator');
+  }
+  if (entity.operator !== undefined) {
+    const parent = all.find(other => other && other.slug === entity.operator);
+    if (parent && parent.type !== 'operator') errors.push(`operator "${entity.operator}" is not an operator`);
+  }
+  if (entity.location !== undefined && typeof entity.location !== 'string') {
+    errors.push('location must be a string');
+  }
+  return errors;
+}
+
+module.exports = {
+  getEntities,
+  getEntity,
+  tagText,
+  primaryOperator,
+  groupByOperator,
+  getRecentStories,
+  findPhrase
+};
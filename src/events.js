@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { sameStory } = require('./clustering');
+const entities = require('./entities');
+
+const EVENTS_FILE = dataPath('events.json');
+const EVENTS_TIMEZONE = process.env.BRIEF_TIMEZONE || 'America/Los_Angeles';
+const UPCOMING_DAYS = 14;
+const RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EVENT_TYPES = ['opening', 'festival', 'closure', 'earnings'];
+const TYPE_LABELS = { opening: 'Opening', festival: 'Event', closure: 'Closure', earnings: 'Earnings call' };
+// Words that say what a date is for. The nearest one to a date decides its type.
+const TYPE_PATTERNS = {
+  closure: /\b(?:clos(?:e|es|ed|ing|ure)|shut(?:s|ting)?(?: down)?|refurbishment|last day|final day|farewell)\b/gi,
+  earnings: /\b(?:earnings|quarterly results|(?:first|second|third|fourth)[- ]quarter results|fiscal (?:year|quarter)|investor call|reports? results)\b/gi,
+  opening: /\b(?:open(?:s|ed|ing)?|debut(?:s|ed|ing)?|premier(?:e|es|ed|ing)|launch(?:es|ed|ing)?|unveil(?:s|ed|ing)?|grand opening)\b/gi,
+  festival: /\b(?:festival|celebration|nights?|parade|fireworks|season|events?|expo|convention)\b/gi
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const RANGE = '\\s*(?:-|–|—|through|thru|to|until)\\s*';
+// "Oct. 24", "October 24, 2026", "Oct. 24-26", "Sept. 30 through Nov. 2, 2026", "2026-10-24"
+const DATE_PATTERN = new RegExp(
+  `\\b${MONTH}\\s+${DAY}(?:${RANGE}(?:${MONTH}\\s+)?${DAY})?(?:,?\\s+(\\d{4}))?\\b|\\b(\\d{4})-(\\d{2})-(\\d{2})\\b`,
+  'gi'
+);
+// Dates that were changed ("originally planned for Dec. 1") aren't events any more
+const SUPERSEDED = /\b(?:originally|previously|formerly|instead of|rather than|(?:postponed|moved|pushed back) from)\b[^.;]{0,30}$/i;
+// How far from a date a type word may be and still count
+const CONTEXT_BEFORE = 120;
+const CONTEXT_AFTER = 60;
+
+// Dated future events mentioned in an article: openings, festivals, closures and earnings
+// calls. Dates without a year are placed in the year that makes them closest to the article's
+// publication; dates before `now` are ignored. Dates are YYYY-MM-DD in BRIEF_TIMEZONE.
+function extractEvents(article, now = new Date()) {
+  const text = `${article.title}. ${article.excerpt || article.summary || ''}`;
+  const reference = article.publishedAt && !Number.isNaN(new Date(article.publishedAt).getTime())
+    ? new Date(article.publishedAt)
+    : now;
+  const today = localDate(now);
+  const events = [];
+
+  for (const match of text.matchAll(DATE_PATTERN)) {
+    const dates = parseDates(match, reference);
+    if (!dates) continue;
+    if ((dates.endDate || dates.date) < today) continue;
+    if (SUPERSEDED.test(text.slice(Math.max(match.index - 60, 0), match.index))) continue;
+
+    const type = nearestType(text, match.index, match.index + match[0].length);
+    if (!type) continue;
+
+    const event = {
+      id: eventId(article.id, type, dates.date),
+      type,
+      date: dates.date,
+      ...(dates.endDate && { endDate: dates.endDate }),
+      articleId: article.id,
+      articleTitle: article.title,
+      url: article.url,
+      source: article.source,
+      entities: article.entities || [],
+      context: contextAround(text, match.index, match.index + match[0].length)
+    };
+    if (!events.some(other => other.id === event.id)) events.push(event);
+  }
+  return events;
+}
+
+function parseDates(match, reference) {
+  const [, startMonth, startDay, endMonth, endDay, year, isoYear, isoMonth, isoDay] = match;
+  if (isoYear) {
+    const date = `${isoYear}-${isoMonth}-${isoDay}`;
+    return isValidDate(date) ? { date } : null;
+  }
+
+  const startMonthIndex = monthIndex(startMonth);
+  const endMonthIndex = endMonth ? monthIndex(endMonth) : startMonthIndex;
+  const startYear = year ? parseInt(year, 10) : inferYear(startMonthIndex, parseInt(startDay, 10), reference);
+  // A range that crosses New Year, e.g. "Dec. 28 through Jan. 3"
+  const endYear = endMonthIndex < startMonthIndex ? startYear + 1 : startYear;
+
+  const date = formatDate(startYear, startMonthIndex, parseInt(startDay, 10));
+  const endDate = endDay ? formatDate(endYear, endMonthIndex, parseInt(endDay, 10)) : null;
+  if (!isValidDate(date) || (endDate && (!isValidDate(endDate) || endDate < date))) return null;
+  return endDate && endDate !== date ? { date, endDate } : { date };
+}
+
+// Articles mostly announce things to come, so a date without a year is taken to fall within
+// roughly the ten months after publication, or the two months before it ("reopened Oct. 1")
+function inferYear(month, day, reference) {
+  const year = parseInt(localDate(reference).slice(0, 4), 10);
+  const offset = Date.UTC(year, month, day) - reference.getTime();
+  if (offset < -60 * DAY_MS) return year + 1;
+  if (offset > 305 * DAY_MS) return year - 1;
+  return year;
+}
+
+function nearestType(text, start, end) {
+  let best = null;
+  for (const [type, pattern] of Object.entries(TYPE_PATTERNS)) {
+    for (const match of text.matchAll(pattern)) {
+      const distance = match.index < start
+        ? start - (match.index + match[0].length)
+        : match.index - end;
+      const inRange = match.index < start ? distance <= CONTEXT_BEFORE : distance >= 0 && distance <= CONTEXT_AFTER;
+      if (inRange && (!best || distance < best.distance)) best = { type, distance };
+    }
+  }
+  return best ? best.type : null;
+}
+
+function contextAround(text, start, end) {
+  return text.slice(Math.max(start - CONTEXT_BEFORE, 0), Math.min(end + CONTEXT_AFTER, text.length)).replace(/\s+/g, ' ').trim();
+}
+
+// Merges newly extracted events into data/events.json. Events that ended more than
+// RETENTION_DAYS ago are dropped.
+async function saveEvents(found, now = new Date()) {
+  const cutoff = localDate(new Date(now.getTime() - RETENTION_DAYS * DAY_MS));
+  const stored = (await readJson(EVENTS_FILE, [])).filter(event => (event.endDate || event.date) >= cutoff);
+
+  const byId = new Map(stored.map(event => [event.id, event]));
+  for (const event of found) {
+    byId.set(event.id, { ...event, firstSeenAt: (byId.get(event.id) || {}).firstSeenAt || now.toISOString() });
+  }
+
+  await writeJson(EVENTS_FILE, [...byId.values()].sort(compareEvents));
+}
+
+// Events starting within the next `days` days, or already under way. `extra` adds events that
+// aren't saved, e.g. on a dry run.
+async function getUpcoming({ days = UPCOMING_DAYS, now = new Date(), extra = [], types = null } = {}) {
+  const today = localDate(now);
+  const until = localDate(new Date(now.getTime() + days * DAY_MS));
+  return dedupe([...(await readJson(EVENTS_FILE, [])), ...extra]
+    .filter(event => (event.endDate || event.date) >= today && event.date <= until)
+    .filter(event => !types || types.includes(event.type)));
+}
+
+// Every stored event, for the calendar export
+async function listEvents({ types = null } = {}) {
+  const stored = await readJson(EVENTS_FILE, []);
+  return dedupe(stored.filter(event => !types || types.includes(event.type)));
+}
+
+// Several articles about the same event on the same date (a similar headline, or the same park
+// or venue) are listed once
+function dedupe(list) {
+  const unique = [];
+  for (const event of [...list].sort(compareEvents)) {
+    const duplicate = unique.some(other =>
+      other.id === event.id ||
+      (other.type === event.type && other.date === event.date &&
+        (sameStory({ title: other.articleTitle }, { title: event.articleTitle }) || samePlace(other, event)))
+    );
+    if (!duplicate) unique.push(event);
+  }
+  return unique;
+}
+
+// Operators are too broad to say two articles describe the same event
+function samePlace(a, b) {
+  return a.entities.some(slug => {
+    const entity = entities.getEntity(slug);
+    return entity && entity.type !== 'operator' && b.entities.includes(slug);
+  });
+}
+
+function compareEvents(a, b) {
+  return a.date.localeCompare(b.date) || a.type.localeCompare(b.type) || a.id.localeCompare(b.id);
+}
+
+function eventId(articleId, type, date) {
+  return crypto.createHash('sha256').update(`${articleId}:${type}:${date}`).digest('hex').substring(0, 16);
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+function formatDate(year, month, day) {
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function isValidDate(date) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+function localDate(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: EVENTS_TIMEZONE });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  TYPE_LABELS,
+  extractEvents,
+  saveEvents,
+  getUpcoming,
+  listEvents
+};
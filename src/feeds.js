@@ -0,0 +1,189 @@
+const cheerio = require('cheerio');
+const briefArchive = require('./briefArchive');
+const { renderBrief, renderSubject, loadSettings, safeUrl, escapeHtml } = require('./renderer');
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const FEED_BRIEF_LIMIT = 20;
+const ITEM_TYPES = ['all', 'briefs', 'stories'];
+// GUIDs stay the same if PUBLIC_BASE_URL changes, so readers don't see every item twice
+const GUID_PREFIX = 'urn:theme-park-news-brief';
+
+const FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed }
+};
+
+// Builds the feed of recent archived briefs and their top stories in one of FORMATS.
+// Returns { body, contentType, lastModified }; lastModified is the newest brief's time.
+async function buildFeed(format, { edition = null, type = 'all' } = {}) {
+  if (!FORMATS[format]) throw new Error(`Unknown feed format "${format}"`);
+  if (!ITEM_TYPES.includes(type)) {
+    const error = new Error(`type must be one of ${ITEM_TYPES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const records = await briefArchive.getLatestBriefs({ limit: FEED_BRIEF_LIMIT, edition, withHtml: true });
+  const items = [];
+  const seenStories = new Set();
+
+  for (const record of records) {
+    if (type !== 'stories') items.push(briefItem(record));
+    if (type === 'briefs') continue;
+
+    for (const story of record.briefData.topStories) {
+      // The weekly digest repeats daily stories; each story is published once, from its newest brief
+      if (seenStories.has(story.id)) continue;
+      seenStories.add(story.id);
+      items.push(storyItem(story, record));
+    }
+  }
+  items.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const settings = loadSettings();
+  const query = new URLSearchParams({ ...(edition && { edition }), ...(type !== 'all' && { type }) }).toString();
+  const feed = {
+    title: edition ? `${settings.title} (${edition})` : settings.title,
+    description: 'Daily theme park and themed experience news',
+    homeUrl: `${PUBLIC_BASE_URL}/briefs`,
+    feedUrl: `${PUBLIC_BASE_URL}/feed.${format}${query ? `?${query}` : ''}`,
+    updated: records.length > 0 ? records[0].generatedAt : new Date(0).toISOString(),
+    items
+  };
+
+  return {
+    body: FORMATS[format].render(feed),
+    contentType: FORMATS[format].contentType,
+    lastModified: records.length > 0 ? new Date(records[0].generatedAt) : null
+  };
+}
+
+function briefItem(record) {
+  const { briefData, date, edition } = record;
+  const url = `${PUBLIC_BASE_URL}/briefs/${date}${edition === 'daily' ? '' : `?edition=${edition}`}`;
+
+  return {
+    id: `${GUID_PREFIX}:brief:${date}:${edition}`,
+    url,
+    title: renderSubject(briefData),
+    summary: briefData.summary,
+    contentHtml: briefBodyHtml(record),
+    date: briefData.generatedAt,
+    author: null,
+    categories: ['Brief', edition]
+  };
+}
+
+function storyItem(story, record) {
+  const published = new Date(story.publishedAt);
+
+  return {
+    id: `${GUID_PREFIX}:story:${story.id}`,
+    url: safeUrl(story.url),
+    title: story.title,
+    summary: story.summary,
+    contentHtml: `<p>${escapeHtml(story.summary || '')}</p><p>Source: ${escapeHtml(story.source || '')}</p>`,
+    date: Number.isNaN(published.getTime()) ? record.generatedAt : published.toISOString(),
+    author: story.source || null,
+    categories: [story.category, record.edition].filter(Boolean)
+  };
+}
+
+// The archived email's body, or a fresh render for briefs archived without HTML
+function briefBodyHtml(record) {
+  const html = record.html || renderBrief(record.briefData, { format: 'html' });
+  const $ = cheerio.load(html);
+  return ($('body').html() || '').trim();
+}
+
+function renderRss(feed) {
+  const items = feed.items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      ${item.url ? `<link>${escapeXml(item.url)}</link>` : ''}
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.date).toUTCString()}</pubDate>
+      ${item.author ? `<dc:creator>${escapeXml(item.author)}</dc:creator>` : ''}
+      ${item.categories.map(category => `<category>${escapeXml(category)}</category>`).join('')}
+      <description>${escapeXml(item.summary || '')}</description>
+      <content:encoded>${cdata(item.contentHtml)}</content:encoded>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed) {
+  const entries = feed.items.map(item => `
+  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    ${item.url ? `<link rel="alternate" href="${escapeXml(item.url)}"/>` : ''}
+    <updated>${new Date(item.date).toISOString()}</updated>
+    <published>${new Date(item.date).toISOString()}</published>
+    ${item.author ? `<author><name>${escapeXml(item.author)}</name></author>` : ''}
+    ${item.categories.map(category => `<category term="${escapeXml(category)}"/>`).join('')}
+    <summary>${escapeXml(item.summary || '')}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>
+  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>
+  <updated>${new Date(feed.updated).toISOString()}</updated>
+  <author><name>${escapeXml(feed.title)}</name></author>${entries}
+</feed>
+`;
+}
+
+// https://www.jsonfeed.org/version/1.1/
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    language: 'en-US',
+    items: feed.items.map(item => ({
+      id: item.id,
+      ...(item.url && { url: item.url }),
+      title: item.title,
+      summary: item.summary || undefined,
+      content_html: item.contentHtml,
+      date_published: new Date(item.date).toISOString(),
+      ...(item.author && { authors: [{ name: item.author }] }),
+      tags: item.categories
+    }))
+  }, null, 2);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// A CDATA section can't contain "]]>", so split it across two sections
+function cdata(value) {
+  return `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+module.exports = { buildFeed };
@@ -0,0 +1,200 @@
+const axios = require('axios');
+const { dataPath, readJson, writeJson } = require('./storage');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+const HOST_INTERVAL_MS = parseInt(process.env.FETCH_HOST_INTERVAL_MS, 10) || 1000;
+const MAX_RETRIES = process.env.FETCH_RETRIES !== undefined ? parseInt(process.env.FETCH_RETRIES, 10) : 3;
+const RETRY_BASE_MS = parseInt(process.env.FETCH_RETRY_BASE_MS, 10) || 500;
+// A Retry-After longer than the longest backoff would hold a concurrency slot past the deadline
+const MAX_RETRY_DELAY_MS = RETRY_BASE_MS * 2 ** MAX_RETRIES;
+const HTTP_CACHE_FILE = dataPath('http-cache.json');
+
+// Earliest time the next request to each host may start
+const nextSlotByHost = new Map();
+
+// ETag/Last-Modified validators and the last body for URLs fetched with { conditional: true }
+let httpCache = null;
+let httpCacheDirty = false;
+
+// GET with per-host pacing and retries. Network errors, 429 and 5xx are retried with
+// exponential backoff plus jitter; other 4xx responses fail straight away.
+// options.snapshot (from snapshots.js) either records every response and final failure, or
+// replays them instead of going to the network. Recording skips conditional requests so the
+// snapshot holds full bodies.
+async function fetchUrl(url, options = {}) {
+  const { snapshot } = options;
+  if (snapshot && snapshot.mode === 'replay') return snapshot.replay(url);
+
+  try {
+    const response = await fetchLive(url, { ...options, conditional: Boolean(options.conditional && !snapshot) });
+    if (snapshot) snapshot.record(url, response);
+    return response;
+  } catch (error) {
+    if (snapshot && !(options.signal && options.signal.aborted)) snapshot.recordError(url, error);
+    throw error;
+  }
+}
+
+async function fetchLive(url, options) {
+  const { conditional = false, signal, timeout = 10000 } = options;
+  const headers = { 'User-Agent': USER_AGENT, ...options.headers };
+
+  const cached = conditional ? (await loadHttpCache())[url] : null;
+  if (cached) {
+    if (cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForHostSlot(url, signal);
+
+    try {
+      const response = await axios.get(url, {
+        headers,
+        timeout,
+        signal,
+        responseType: 'text',
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      });
+
+      if (response.status === 304 && cached) {
+        return { url, finalUrl: url, status: 304, data: cached.body, notModified: true };
+      }
+
+      if (conditional && (response.headers.etag || response.headers['last-modified'])) {
+        httpCache[url] = {
+          etag: response.headers.etag || null,
+          lastModified: response.headers['last-modified'] || null,
+          body: response.data,
+          fetchedAt: new Date().toISOString()
+        };
+        httpCacheDirty = true;
+      }
+
+      // Where redirects ended up, e.g. the publisher page behind a news.google.com link
+      const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+      return { url, finalUrl, status: response.status, data: response.data, notModified: false };
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= MAX_RETRIES || (signal && signal.aborted)) {
+        throw error;
+      }
+
+      const delay = retryDelay(error, attempt);
+      console.warn(`Fetching ${url} failed (${describeError(error)}), retrying in ${delay}ms`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// Runs worker over items with at most `concurrency` in flight. Once `deadline` passes, in-flight
+// work is aborted through the signal and the results gathered so far are returned.
+async function mapWithConcurrency(items, worker, { concurrency = 4, deadline = null } = {}) {
+  const controller = new AbortController();
+  const results = [];
+  const timedOut = [];
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length && !controller.signal.aborted) {
+      const item = items[next++];
+      try {
+        results.push({ item, value: await worker(item, controller.signal) });
+      } catch (error) {
+        if (controller.signal.aborted) {
+          timedOut.push(item);
+        } else {
+          results.push({ item, error });
+        }
+      }
+    }
+  };
+
+  const workers = Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+
+  let timer = null;
+  if (deadline) {
+    const deadlinePassed = new Promise(resolve => {
+      timer = setTimeout(resolve, Math.max(deadline - Date.now(), 0));
+    });
+    await Promise.race([workers, deadlinePassed]);
+    clearTimeout(timer);
+
+    if (!controller.signal.aborted && results.length + timedOut.length < items.length) {
+      controller.abort();
+      await workers;
+      // Anything never started also missed the deadline
+      const finished = new Set([...results.map(result => result.item), ...timedOut]);
+      timedOut.push(...items.filter(item => !finished.has(item) && !timedOut.includes(item)));
+    }
+  } else {
+    await workers;
+  }
+
+  return { results, timedOut };
+}
+
+async function waitForHostSlot(url, signal) {
+  const host = new URL(url).host;
+  const now = Date.now();
+  const slot = Math.max(nextSlotByHost.get(host) || 0, now);
+  nextSlotByHost.set(host, slot + HOST_INTERVAL_MS);
+
+  if (slot > now) {
+    await sleep(slot - now, signal);
+  }
+}
+
+function isRetryable(error) {
+  if (axios.isCancel(error)) return false;
+  if (!error.response) return true;
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+function retryDelay(error, attempt) {
+  const retryAfter = error.response && parseInt(error.response.headers['retry-after'], 10);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+
+  const backoff = RETRY_BASE_MS * 2 ** attempt;
+  return backoff + Math.floor(Math.random() * backoff);
+}
+
+function describeError(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new Error('Aborted'));
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Aborted'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function loadHttpCache() {
+  if (!httpCache) {
+    httpCache = await readJson(HTTP_CACHE_FILE, {});
+  }
+  return httpCache;
+}
+
+// Written once per discovery run rather than after every response
+async function saveHttpCache() {
+  if (httpCache && httpCacheDirty) {
+    httpCacheDirty = false;
+    await writeJson(HTTP_CACHE_FILE, httpCache);
+  }
+}
+
+module.exports = {
+  fetchUrl,
+  mapWithConcurrency,
+  saveHttpCache
+};
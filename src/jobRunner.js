@@ -0,0 +1,436 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, ensureDir, readJson, writeJson } = require('./storage');
+const { generateDailyBrief, markBriefed } = require('./newsProcessor');
+const { sendEmail, findRecipient, generateEmailHTML } = require('./emailSender');
+const briefArchive = require('./briefArchive');
+const editions = require('./editions');
+const channels = require('./channels');
+const drafts = require('./drafts');
+
+const RUNS_DIR = dataPath('runs');
+const LOCK_FILE = dataPath('brief.lock');
+const LOCK_STALE_MS = 2 * 60 * 60 * 1000;
+const RUN_ID_PATTERN = /^\d{8}T\d{9}Z-[0-9a-f]{8}$/;
+const SEND_RETRIES = process.env.SEND_RETRIES !== undefined ? parseInt(process.env.SEND_RETRIES, 10) : 3;
+const SEND_RETRY_BASE_MS = parseInt(process.env.SEND_RETRY_BASE_MS, 10) || 60000;
+// Saves the raw responses of every run to data/snapshots for replaying later
+const RECORD_SNAPSHOTS = process.env.RECORD_SNAPSHOTS === 'true';
+
+// Generates, archives and sends one brief while holding the brief lock, and records the run in
+// data/runs/<id>.json. If some deliveries fail the lock is released and the failed recipients
+// are retried later from the archived brief, without scraping again.
+// Editions with `review` stop after generating: the brief is saved as a draft and the run waits
+// in `awaiting-approval` until an editor approves it or its deadline passes (see publishDraft).
+async function runBrief(options = {}) {
+  const edition = editions.getEdition(options.edition);
+  const review = options.review !== undefined ? options.review : edition.review;
+  const run = {
+    id: newRunId(),
+    edition: edition.id,
+    trigger: options.trigger || 'manual',
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    template: options.template || edition.template || null,
+    stages: [],
+    counts: {},
+    errors: [],
+    deliveries: [],
+    messageId: null
+  };
+
+  await acquireLock(run.id);
+  try {
+    await saveRun(run);
+    const tracker = createTracker(run);
+
+    let briefData;
+    try {
+      const record = options.record !== undefined ? options.record : RECORD_SNAPSHOTS;
+      // A draft's stories are marked as briefed when it is published, without the ones an editor removed
+      briefData = await generateDailyBrief({ tracker, edition, record, markBriefed: !review });
+      if (briefData.snapshot) run.snapshot = briefData.snapshot;
+    } catch (error) {
+      run.errors.push({ stage: lastStage(run), message: error.message });
+      await finishRun(run, 'failed');
+      throw error;
+    }
+
+    if (review) {
+      const deadline = new Date(Date.now() + edition.reviewDeadlineMinutes * 60 * 1000).toISOString();
+      await tracker.stage('draft', () => drafts.createDraft(briefData, { runId: run.id, edition: edition.id, deadline }));
+      run.draft = { id: run.id, deadline };
+      console.log(`Saved ${edition.id} brief as draft ${run.id}; it goes out at ${deadline} unless an editor acts first`);
+      await finishRun(run, 'awaiting-approval');
+      scheduleDeadline(run);
+      return { run, briefData };
+    }
+
+    await publish(run, briefData, tracker, edition);
+    return { run, briefData };
+  } finally {
+    await releaseLock(run.id);
+  }
+}
+
+// Sends a reviewed draft, with the editor's changes, under the run that generated it.
+// `by` is "editor" for an approval and "deadline" when nobody acted in time.
+async function publishDraft(id, { by = 'editor' } = {}) {
+  await checkPublishable(id);
+
+  await acquireLock(id);
+  try {
+    // Read again under the lock: an editor and the deadline may both have got this far
+    const { run } = await checkPublishable(id);
+    const draft = await drafts.closeDraft(id, 'published', { publishedBy: by });
+    run.status = 'running';
+    run.approval = { by, at: new Date().toISOString(), changes: draft.changes.length };
+    delete run.draft.deadline;
+    await saveRun(run);
+
+    console.log(`Publishing draft ${id} (${by === 'deadline' ? 'review deadline passed' : 'approved'})...`);
+    const edition = editions.getEdition(run.edition);
+    await publish(run, draft.briefData, createTracker(run), edition);
+    return { run, briefData: draft.briefData };
+  } finally {
+    await releaseLock(id);
+  }
+}
+
+// The run and its draft as they are on disk, if the draft can still be sent
+async function checkPublishable(id) {
+  const run = await getRun(id);
+  const draft = await drafts.getDraft(id);
+  if (!run || !draft) throw httpError(404, 'Draft not found');
+  if (draft.status !== 'pending') throw httpError(409, `Draft is already ${draft.status}`);
+  if (run.status !== 'awaiting-approval') throw httpError(409, `Run ${id} is already ${run.status}`);
+  return { run, draft };
+}
+
+async function discardDraft(id) {
+  const run = await getRun(id);
+  const draft = await drafts.getDraft(id);
+  if (!run || !draft) throw httpError(404, 'Draft not found');
+  if (draft.status !== 'pending') throw httpError(409, `Draft is already ${draft.status}`);
+
+  await drafts.closeDraft(id, 'discarded');
+  run.errors.push({ stage: 'draft', message: 'Draft discarded by an editor' });
+  await finishRun(run, 'discarded');
+  return run;
+}
+
+// Render, archive, send and post to chat channels
+async function publish(run, briefData, tracker, edition) {
+  try {
+    const html = await tracker.stage('render', () => generateEmailHTML(briefData, { template: run.template }));
+    run.brief = await tracker.stage('archive', () => briefArchive.saveBrief(briefData, html, edition.id));
+    if (run.draft) await markBriefed(briefData);
+  } catch (error) {
+    run.errors.push({ stage: lastStage(run), message: error.message });
+    await finishRun(run, 'failed');
+    throw error;
+  }
+
+  await tracker.stage('send', () => attemptDelivery(run, briefData, null));
+  // Chat channels get one post per brief; only email deliveries are retried
+  run.channels = await tracker.stage('channels', () => channels.postBrief(briefData));
+  await saveRun(run);
+}
+
+// Under the brief lock like every other send, so a retry never overlaps a run or a publish
+async function retryDelivery(runId) {
+  await acquireLock(runId);
+  try {
+    const run = await getRun(runId);
+    if (!run || run.status !== 'retrying') return;
+
+    // By generation time: a later run for the same day may have replaced this brief in the archive
+    const record = await briefArchive.getBrief(run.brief.date, run.brief.edition, { generatedAt: run.brief.generatedAt });
+    if (!record) {
+      run.errors.push({ stage: 'send', message: `Archived brief ${run.brief.date}/${run.brief.edition} is missing` });
+      await finishRun(run, 'failed');
+      return;
+    }
+
+    console.log(`Retrying delivery for run ${run.id} (attempt ${run.deliveries.length + 1})...`);
+    await attemptDelivery(run, record.briefData, run.pendingRecipients);
+  } finally {
+    await releaseLock(runId);
+  }
+}
+
+// One delivery attempt: to everyone when recipients is null, otherwise only to those addresses
+// that still belong to a subscriber, each sent with their current preferences. Failures schedule
+// another attempt with exponential backoff until SEND_RETRIES runs out.
+async function attemptDelivery(run, briefData, recipients) {
+  const attempt = { attemptedAt: new Date().toISOString(), sent: 0, failed: 0, skipped: 0, messageIds: [] };
+  const results = [];
+  let retryEveryone = false;
+
+  const sendTo = async recipient => {
+    try {
+      const recipients = recipient ? [recipient] : undefined;
+      results.push(...(await sendEmail(briefData, { recipients, template: run.template })).results);
+    } catch (error) {
+      if (error.results) {
+        results.push(...error.results);
+      } else if (recipient) {
+        results.push({ email: recipient.email, error: error.message });
+      } else {
+        // Nothing was attempted (e.g. the transport isn't configured), so everyone is still owed a copy
+        attempt.error = error.message;
+        retryEveryone = true;
+      }
+    }
+  };
+
+  if (recipients) {
+    for (const email of recipients) {
+      const recipient = await findRecipient(email);
+      if (recipient) {
+        await sendTo(recipient);
+      } else {
+        console.log(`Dropping ${email} from the retry for run ${run.id}: no longer subscribed`);
+        results.push({ email, skipped: true });
+      }
+    }
+  } else {
+    await sendTo(undefined);
+  }
+
+  const failedRecipients = results.filter(result => result.error).map(result => result.email);
+  attempt.sent = results.filter(result => result.messageId).length;
+  attempt.failed = retryEveryone ? null : failedRecipients.length;
+  attempt.skipped = results.filter(result => result.skipped).length;
+  attempt.messageIds = results.filter(result => result.messageId).map(result => result.messageId);
+  if (failedRecipients.length > 0) attempt.failedRecipients = failedRecipients;
+
+  run.deliveries.push(attempt);
+  run.messageId = run.messageId || attempt.messageIds[0] || null;
+  run.counts.sent = (run.counts.sent || 0) + attempt.sent;
+  run.counts.failed = failedRecipients.length;
+  if (run.deliveries.length === 1) run.counts.skipped = attempt.skipped;
+
+  if (attempt.sent > 0 || attempt.failed > 0) {
+    await briefArchive.recordDelivery(run.brief.date, run.brief.edition, {
+      messageIds: attempt.messageIds,
+      sent: attempt.sent,
+      failed: attempt.failed,
+      skipped: attempt.skipped,
+      runId: run.id,
+      retry: run.deliveries.length > 1
+    });
+  }
+
+  if (!retryEveryone && failedRecipients.length === 0) {
+    delete run.pendingRecipients;
+    delete run.nextRetryAt;
+    return finishRun(run, 'succeeded');
+  }
+
+  const firstFailure = results.find(result => result.error);
+  run.errors.push({
+    stage: 'send',
+    message: attempt.error || `${failedRecipients.length} recipient(s) failed: ${firstFailure.error}`
+  });
+  run.pendingRecipients = retryEveryone ? recipients : failedRecipients;
+
+  if (run.deliveries.length > SEND_RETRIES) {
+    console.error(`Giving up on delivery for run ${run.id} after ${run.deliveries.length} attempts`);
+    delete run.nextRetryAt;
+    return finishRun(run, run.counts.sent > 0 ? 'partial' : 'failed');
+  }
+
+  const delay = SEND_RETRY_BASE_MS * 2 ** (run.deliveries.length - 1);
+  run.nextRetryAt = new Date(Date.now() + delay).toISOString();
+  console.warn(`Delivery for run ${run.id} incomplete, retrying at ${run.nextRetryAt}`);
+  await finishRun(run, 'retrying');
+  scheduleRetry(run);
+}
+
+function scheduleDeadline(run, delay = Math.max(new Date(run.draft.deadline).getTime() - Date.now(), 0)) {
+  // Unref'd like retries; recoverRuns reschedules the deadline after a restart
+  setTimeout(async () => {
+    try {
+      await publishDraft(run.id, { by: 'deadline' });
+    } catch (error) {
+      const draft = await drafts.getDraft(run.id).catch(() => null);
+      if (error.status === 409 && draft && draft.status === 'pending') {
+        // Another run holds the lock; the draft still has to go out
+        console.warn(`Draft ${run.id} is past its deadline but ${error.message.toLowerCase()}, trying again in a minute`);
+        scheduleDeadline(run, 60 * 1000);
+      } else if (error.status !== 409) {
+        console.error(`Publishing draft ${run.id} at its deadline failed:`, error);
+      }
+    }
+  }, delay).unref();
+}
+
+function scheduleRetry(run, delay = Math.max(new Date(run.nextRetryAt).getTime() - Date.now(), 0)) {
+  // Unref'd so a pending retry never keeps a one-off process alive; recoverRuns picks it up again
+  setTimeout(() => {
+    retryDelivery(run.id).catch(error => {
+      if (error.status === 409) {
+        // Another run holds the lock; the recipients are still owed their copy
+        console.warn(`Retry for run ${run.id} waiting: ${error.message.toLowerCase()}, trying again in a minute`);
+        scheduleRetry(run, 60 * 1000);
+      } else {
+        console.error(`Retry for run ${run.id} failed:`, error);
+      }
+    });
+  }, delay).unref();
+}
+
+// Called on startup: reschedules pending retries and marks runs that died mid-way as interrupted
+async function recoverRuns() {
+  const lock = await readLock();
+  for (const run of await listRuns({ limit: 50 })) {
+    if (run.status === 'retrying') {
+      scheduleRetry(run);
+    } else if (run.status === 'awaiting-approval') {
+      scheduleDeadline(run);
+    } else if (run.status === 'running' && !(lock && lock.runId === run.id && !isStale(lock))) {
+      run.errors.push({ stage: lastStage(run), message: 'Run was interrupted' });
+      await finishRun(run, 'interrupted');
+    }
+  }
+}
+
+function createTracker(run) {
+  return {
+    async stage(name, work) {
+      const started = Date.now();
+      const stage = { name, startedAt: new Date(started).toISOString() };
+      run.stages.push(stage);
+      try {
+        return await work();
+      } catch (error) {
+        stage.error = error.message;
+        throw error;
+      } finally {
+        stage.durationMs = Date.now() - started;
+      }
+    },
+    count(name, value) {
+      run.counts[name] = value;
+    }
+  };
+}
+
+async function finishRun(run, status) {
+  run.status = status;
+  if (status !== 'retrying' && status !== 'awaiting-approval') {
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = new Date(run.finishedAt) - new Date(run.startedAt);
+  }
+  await saveRun(run);
+}
+
+function lastStage(run) {
+  return run.stages.length > 0 ? run.stages[run.stages.length - 1].name : null;
+}
+
+// Sortable by start time: 20250101T150000123Z-1a2b3c4d
+function newRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
+  return `${timestamp}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+async function saveRun(run) {
+  await writeJson(path.join(RUNS_DIR, `${run.id}.json`), run);
+}
+
+async function getRun(id) {
+  if (!RUN_ID_PATTERN.test(id)) return null;
+  return readJson(path.join(RUNS_DIR, `${id}.json`), null);
+}
+
+// Newest first
+async function listRuns({ limit = 20 } = {}) {
+  let files = [];
+  try {
+    files = (await fs.promises.readdir(RUNS_DIR)).filter(file => RUN_ID_PATTERN.test(file.replace(/\.json$/, '')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const runs = [];
+  for (const file of files.sort().reverse().slice(0, limit)) {
+    const run = await readJson(path.join(RUNS_DIR, file), null);
+    if (run) runs.push(run);
+  }
+  return runs;
+}
+
+async function getLastRun() {
+  const [run] = await listRuns({ limit: 1 });
+  return run || null;
+}
+
+async function acquireLock(runId) {
+  await ensureDir(path.dirname(LOCK_FILE));
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.promises.writeFile(LOCK_FILE, JSON.stringify({ runId, pid: process.pid, lockedAt: new Date().toISOString() }), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const lock = await readLock();
+    if (lock && !isStale(lock)) {
+      throw httpError(409, `Another brief run (${lock.runId}) is in progress`);
+    }
+
+    console.warn(`Removing stale brief lock${lock ? ` left by run ${lock.runId}` : ''}`);
+    await fs.promises.rm(LOCK_FILE, { force: true });
+  }
+
+  throw httpError(409, 'Could not acquire the brief lock');
+}
+
+async function releaseLock(runId) {
+  const lock = await readLock();
+  if (lock && lock.runId === runId) {
+    await fs.promises.rm(LOCK_FILE, { force: true });
+  }
+}
+
+async function readLock() {
+  try {
+    return await readJson(LOCK_FILE, null);
+  } catch {
+    // Caught between create and write; treat it as held
+    return { runId: 'unknown', pid: process.pid, lockedAt: new Date().toISOString() };
+  }
+}
+
+// A lock is stale once its process has gone or it is older than any real run
+function isStale(lock) {
+  if (Date.now() - new Date(lock.lockedAt).getTime() > LOCK_STALE_MS) return true;
+  try {
+    process.kill(lock.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  runBrief,
+  publishDraft,
+  discardDraft,
+  recoverRuns,
+  getRun,
+  listRuns,
+  getLastRun
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+const CRLF = '\r\n';
+
+// Builds an RFC 5322 message with a multipart/alternative plain-text and HTML body. `date`,
+// `messageId` and `boundary` are generated unless given, which the tests do to get a stable message.
+function buildMessage({ from, to, subject, text, html, headers = {}, date = new Date(), messageId, boundary = generateBoundary() }) {
+  const recipients = Array.isArray(to) ? to : [to];
+
+  const headerLines = [
+    ['From', formatAddress(from)],
+    ['To', recipients.map(formatAddress).join(', ')],
+    ['Subject', encodeHeaderValue(subject)],
+    ['Date', formatDate(date)],
+    ['Message-ID', messageId || generateMessageId(from)],
+    ['MIME-Version', '1.0'],
+    ...Object.entries(headers).map(([name, value]) => [name, encodeHeaderValue(value)]),
+    ['Content-Type', `multipart/alternative; boundary="${boundary}"`]
+  ].map(([name, value]) => `${name}: ${value}`);
+
+  return [
+    ...headerLines,
+    '',
+    'This is a multi-part message in MIME format.',
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset="UTF-8"',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    encodeQuotedPrintable(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset="UTF-8"',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    encodeQuotedPrintable(html),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+}
+
+function generateBoundary() {
+  return `----=_Brief_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function generateMessageId(from) {
+  const email = typeof from === 'string' ? from : from.email;
+  const domain = email.split('@')[1] || 'localhost';
+  return `<${Date.now().toString(36)}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+}
+
+// RFC 5322 date, e.g. "Mon, 19 Oct 2026 15:00:00 +0000"
+function formatDate(date) {
+  return new Date(date).toUTCString().replace(/GMT$/, '+0000');
+}
+
+// Accepts "user@example.com" or { name, email }
+// A line break in an address would start a new header (e.g. a Bcc), so it is refused outright
+function formatAddress(address) {
+  const email = typeof address === 'string' ? address : address.email;
+  if (/[\r\n]/.test(email)) throw new Error(`Invalid email address ${JSON.stringify(email)}`);
+  if (typeof address === 'string' || !address.name) return email;
+
+  const displayName = address.name.replace(/[\r\n]+/g, ' ');
+  const name = isAscii(displayName)
+    ? `"${displayName.replace(/(["\\])/g, '\\$1')}"`
+    : encodeWords(displayName);
+  return `${name} <${email}>`;
+}
+
+function encodeHeaderValue(value) {
+  const stringValue = String(value).replace(/[\r\n]+/g, ' ');
+  return isAscii(stringValue) ? stringValue : encodeWords(stringValue);
+}
+
+// RFC 2047 base64 encoded-words, split on character boundaries so each word stays under 76 chars
+function encodeWords(value) {
+  const words = [];
+  let chunk = '';
+
+  for (const char of value) {
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+
+  return words
+    .map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`)
+    .join(`${CRLF} `);
+}
+
+// RFC 2045 quoted-printable with CRLF line endings and soft breaks at 76 characters
+function encodeQuotedPrintable(text) {
+  return String(text)
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(encodeQuotedPrintableLine)
+    .join(CRLF);
+}
+
+function encodeQuotedPrintableLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  let encoded = '';
+  let lineLength = 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    const isTrailingWhitespace = (byte === 0x20 || byte === 0x09) && i === bytes.length - 1;
+    const isPrintable = byte >= 0x21 && byte <= 0x7e && byte !== 0x3d;
+    const token = (isPrintable || ((byte === 0x20 || byte === 0x09) && !isTrailingWhitespace))
+      ? String.fromCharCode(byte)
+      : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+
+    if (lineLength + token.length > 75) {
+      encoded += `=${CRLF}`;
+      lineLength = 0;
+    }
+    encoded += token;
+    lineLength += token.length;
+  }
+
+  return encoded;
+}
+
+function isAscii(value) {
+  return /^[\x20-\x7e]*$/.test(value);
+}
+
+module.exports = {
+  buildMessage,
+  encodeHeaderValue,
+  encodeQuotedPrintable,
+  formatAddress
+};
@@ -1,294 +1,517 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const Parser = require('rss-parser');
-const NodeCache = require('node-cache');
+const crypto = require('crypto');
 const stringSimilarity = require('string-similarity');
+const articleStore = require('./articleStore');
+const { createSummarizer } = require('./summarizers');
+const sourceConfig = require('./sourceConfig');
+const fetcher = require('./fetcher');
+const { clusterArticles, sameStory } = require('./clustering');
+const { rankStories } = require('./ranking');
+const articleResolver = require('./articleResolver');
+const alertLog = require('./alertLog');
+const briefArchive = require('./briefArchive');
+const editions = require('./editions');
+const entities = require('./entities');
+const relevance = require('./relevance');
+const editorialRules = require('./editorialRules');
+const events = require('./events');
+const analytics = require('./analytics');
+const snapshots = require('./snapshots');
 
 const parser = new Parser();
-const cache = new NodeCache({ stdTTL: 259200 }); // 72 hours
 
-const NEWS_SOURCES = {
-  // Direct Google News search URLs (these will be scraped)
-  googleNewsSearches: [
-    'https://news.google.com/search?q=theme%20park&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=disney%20park&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=universal%20studios&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=six%20flags&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=cedar%20fair&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=seaworld&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=legoland&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=roller%20coaster&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=dark%20ride&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=themed%20experience&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=immersive%20experience&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=teamlab&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=meow%20wolf&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=dollywood&hl=en-US&gl=US&ceid=US%3Aen',
-    'https://news.google.com/search?q=busch%20gardens&hl=en-US&gl=US&ceid=US%3Aen'
-  ],
-  
-  // RSS feeds for official sources
-  rssFeeds: [
-    'https://disneyparks.disney.go.com/blog/feed/',
-    'https://blog.universalstudios.com/feed/',
-    'https://www.themeparkmagazine.com/feed/',
-    'https://www.prnewswire.com/rss/consumer-products-retail-latest-news/consumer-products-retail-latest-news-list.rss'
-  ],
-  
-  blockedDomains: [
-    'insidethemagic.net',
-    'disneyfanatic.com'
-  ]
+const FETCH_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY, 10) || 4;
+const DISCOVERY_DEADLINE_MS = parseInt(process.env.DISCOVERY_DEADLINE_MS, 10) || 120000;
+const RESOLVE_DEADLINE_MS = parseInt(process.env.RESOLVE_DEADLINE_MS, 10) || 90000;
+
+const CATEGORIES = ['Safety', 'Announcements', 'Construction', 'Financial', 'Events', 'Technology', 'General'];
+// Words that make a story breaking news, emailed to every subscriber straight away
+const ALERT_TERMS = [
+  'injury', 'injuries', 'death', 'deaths', 'evacuation', 'evacuated',
+  'derail', 'derailed', 'derailment', 'fire', 'fires', 'emergency'
+];
+
+// Used when the caller doesn't want stage timings or counts
+const NO_TRACKING = {
+  stage: (name, work) => work(),
+  count: () => {}
 };
 
-async function generateDailyBrief() {
-  console.log('Starting comprehensive news discovery...');
+// Builds one brief for an edition from config/editions.json (the daily one by default).
+// A dry run goes through discovery, filtering and ranking but leaves the article history untouched.
+// options.tracker ({ stage(name, work), count(name, value) }) receives timings and counts per stage.
+// options.record saves every fetched response to a snapshot (see snapshots.js); options.replay,
+// an opened snapshot, serves the fetches from it instead of the network.
+// options.markBriefed: false leaves the chosen stories unmarked in the history, for a draft
+// whose stories an editor may still remove; markBriefed() marks them once it is approved.
+async function generateDailyBrief(options = {}) {
+  const { dryRun = false, markBriefed: mark = !dryRun, tracker = NO_TRACKING } = options;
+  const edition = options.edition || editions.getEdition('daily');
+  const { lookbackHours } = edition;
+  console.log(`Starting comprehensive news discovery for the ${edition.id} edition${dryRun ? ' (dry run)' : ''}...`);
+  
+  const recording = options.record ? await snapshots.startRecording(edition.id) : null;
+  const snapshot = recording || options.replay || null;
   
   try {
-    const articles = await discoverArticles();
-    console.log(`Discovered ${articles.length} potential articles`);
+    const discovered = await tracker.stage('discover', () => discoverArticles({ snapshot }));
+    console.log(`Discovered ${discovered.length} potential articles`);
+    tracker.count('discovered', discovered.length);
+    
+    const articles = await tracker.stage('resolve', () => resolveArticles(discovered, { lookbackHours, snapshot }));
     
-    const filtered = await filterAndDeduplicate(articles);
-    console.log(`Filtered to ${filtered.length} unique articles`);
+    // Digest editions also rank everything the other editions already sent in their window
+    if (edition.includeArchive) {
+      const archived = await tracker.stage('archive-read', () => loadArchivedStories(lookbackHours));
+      console.log(`Added ${archived.length} stories from archived briefs`);
+      tracker.count('archived', archived.length);
+      articles.push(...archived);
+    }
+    
+    const { filtered, dropped } = await tracker.stage('filter', () => filterAndDeduplicate(articles, {
+      dryRun,
+      lookbackHours,
+      includeBriefed: edition.includeArchive
+    }));
+    console.log(`Filtered to ${filtered.length} unique articles (${dropped.length} dropped)`);
+    tracker.count('filtered', filtered.length);
+    tracker.count('dropped', dropped.length);
     
-    const sorted = filtered.sort((a, b) => {
-      const significanceOrder = { critical: 4, high: 3, medium: 2, low: 1 };
-      const sigDiff = significanceOrder[b.significance] - significanceOrder[a.significance];
-      if (sigDiff !== 0) return sigDiff;
-      return new Date(b.publishedAt) - new Date(a.publishedAt);
+    // Dated events in today's articles join the ones already on file for "What's Next"
+    const found = await tracker.stage('events', async () => {
+      const extracted = filtered.flatMap(article => events.extractEvents(article));
+      if (!dryRun) await events.saveEvents(extracted);
+      return extracted;
     });
+    const upcoming = await events.getUpcoming({ extra: found });
+    tracker.count('events', found.length);
+    
+    const rules = await editorialRules.listRules();
+    const sorted = await tracker.stage('rank', () => editorialRules.applyPins(rankStories(clusterArticles(filtered)), rules));
+    console.log(`Grouped into ${sorted.length} stories`);
+    tracker.count('stories', sorted.length);
+    
+    // Daily counts for /analytics and the trending block; each article counts once
+    if (!dryRun) {
+      const counted = await tracker.stage('analytics', () => analytics.recordArticles(filtered, sorted));
+      tracker.count('counted', counted);
+    }
+    const trending = await analytics.getTrending();
+    
+    // Only the stories that make it into the brief get a one-sentence summary
+    const summarizer = createSummarizer();
+    const selected = sorted.slice(0, edition.topStories + edition.alsoNoted);
+    const alertsOutsideBrief = sorted.slice(selected.length).filter(article => article.isAlert);
+    const summarized = await tracker.stage('summarize', () => summarizer.summarizeStories([...selected, ...alertsOutsideBrief]));
+    
+    const topStories = summarized.slice(0, edition.topStories);
+    const alsoNoted = summarized.slice(edition.topStories, selected.length);
+    const alerts = mergeLoggedAlerts(
+      summarized.filter(article => article.isAlert),
+      await alertLog.getAlertsSince(Date.now() - 24 * 60 * 60 * 1000)
+    );
     
-    const topStories = sorted.slice(0, 10);
-    const alsoNoted = sorted.slice(10, 15);
-    const alerts = sorted.filter(article => article.isAlert);
+    if (mark) await markBriefed({ topStories, alsoNoted, alerts });
     
-    const summary = await generateSummary(topStories);
+    const summary = await tracker.stage('overview', () => generateSummary(topStories, summarizer, lookbackHours));
     
+    const { usage } = summarizer;
+    console.log(`Summaries via ${usage.provider}: ${usage.calls} calls, ${usage.tokens} tokens, ${usage.cacheHits} cached, ${usage.fallbacks} fallbacks`);
     console.log(`Final selection: ${topStories.length} top stories, ${alsoNoted.length} also noted`);
+    tracker.count('topStories', topStories.length);
+    tracker.count('alsoNoted', alsoNoted.length);
+    tracker.count('alerts', alerts.length);
+    tracker.count('summaryTokens', usage.tokens);
     
-    return {
+    const briefData = {
+      edition: edition.id,
+      ...(edition.title && { title: edition.title }),
+      ...(edition.groupBy === 'operator' && { sections: entities.groupByOperator(topStories) }),
       topStories,
       alsoNoted,
       alerts,
+      trending: trending.map(({ type, key, label, count, baseline }) => ({ type, key, label, count, baseline })),
+      upcoming: upcoming.map(({ id, type, date, endDate, articleTitle, url, source }) => ({ id, type, date, endDate, title: articleTitle, url, source })),
       summary,
       generatedAt: new Date().toISOString()
     };
     
+    if (dryRun) {
+      briefData.dryRun = true;
+      briefData.dropped = dropped;
+    }
+    if (snapshot) {
+      briefData.snapshot = snapshot.id;
+    }
+    if (recording) {
+      await recording.finish(briefData);
+    }
+    
+    return briefData;
+    
   } catch (error) {
     console.error('Error generating daily brief:', error);
+    if (recording) {
+      await recording.finish(error).catch(finishError => console.error('Saving snapshot failed:', finishError.message));
+    }
     throw error;
   }
 }
 
-async function discoverArticles() {
+// Sources are fetched in parallel. Whatever hasn't finished by the deadline is abandoned so
+// the brief still ships on time with the sources that did.
+async function discoverArticles(options = {}) {
   const articles = [];
+  const sources = sourceConfig.getSources({ enabledOnly: true });
   
-  // Scrape Google News search results directly
-  console.log('Scraping Google News search results...');
-  for (const searchUrl of NEWS_SOURCES.googleNewsSearches) {
-    try {
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Rate limiting
-      const googleArticles = await scrapeGoogleNews(searchUrl);
-      articles.push(...googleArticles);
-      console.log(`Found ${googleArticles.length} articles from Google News search`);
-    } catch (error) {
-      console.error(`Error scraping Google News search:`, error.message);
+  console.log(`Fetching ${sources.length} configured sources...`);
+  const { results, timedOut } = await fetcher.mapWithConcurrency(
+    sources,
+    (source, signal) => fetchSource(source, { signal, snapshot: options.snapshot }),
+    { concurrency: FETCH_CONCURRENCY, deadline: Date.now() + DISCOVERY_DEADLINE_MS }
+  );
+  
+  for (const { item: source, value, error } of results) {
+    if (error) {
+      console.error(`Error fetching ${source.name}:`, error.message);
+      continue;
     }
+    articles.push(...value);
+    console.log(`Found ${value.length} articles from ${source.name}`);
   }
   
-  // Process RSS feeds for official sources
-  console.log('Processing official RSS feeds...');
-  for (const feedUrl of NEWS_SOURCES.rssFeeds) {
-    try {
-      const feed = await parser.parseURL(feedUrl);
-      for (const item of feed.items.slice(0, 10)) {
-        if (isRecentArticle(item.pubDate)) {
-          articles.push(parseRSSItem(item, feedUrl));
-        }
-      }
-    } catch (error) {
-      console.error(`Error processing RSS feed ${feedUrl}:`, error.message);
-    }
+  if (timedOut.length > 0) {
+    console.warn(`Discovery deadline reached, skipped: ${timedOut.map(source => source.name).join(', ')}`);
   }
+  await fetcher.saveHttpCache();
   
   console.log(`Total articles discovered: ${articles.length}`);
   return articles;
 }
 
-async function scrapeGoogleNews(searchUrl) {
-  const articles = [];
+// Swaps Google News redirect links for the publisher's URL and page metadata, so blocklisting,
+// dedup, categorization and summaries all see the real article. Articles that can't be resolved
+// in time keep their Google data; anything already too old is left alone to save the fetches.
+async function resolveArticles(articles, options = {}) {
+  const pending = articles.filter(article =>
+    articleResolver.needsResolution(article) && isRecentArticle(article.publishedAt, options.lookbackHours)
+  );
+  if (pending.length === 0) return articles;
   
-  try {
-    const response = await axios.get(searchUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      },
-      timeout: 10000
-    });
-    
-    const $ = cheerio.load(response.data);
+  console.log(`Resolving ${pending.length} Google News links...`);
+  const { results, timedOut } = await fetcher.mapWithConcurrency(
+    pending,
+    (article, signal) => articleResolver.resolveArticle(article.url, { signal, snapshot: options.snapshot }),
+    { concurrency: FETCH_CONCURRENCY, deadline: Date.now() + RESOLVE_DEADLINE_MS }
+  );
+  
+  const resolved = new Map();
+  let failures = 0;
+  for (const { item: article, value, error } of results) {
+    if (error) {
+      failures++;
+      console.warn(`Could not resolve "${article.title}":`, error.message);
+      continue;
+    }
+    resolved.set(article, applyPageMetadata(article, value));
+  }
+  
+  console.log(`Resolved ${resolved.size} links (${failures} failed, ${timedOut.length} past the deadline)`);
+  await articleResolver.saveResolvedCache();
+  
+  return articles.map(article => resolved.get(article) || article);
+}
+
+function applyPageMetadata(article, { url, metadata }) {
+  const description = metadata.description || '';
+  const rebuilt = buildArticle({
+    title: metadata.title || article.title,
+    url,
+    source: article.source === 'Google News' && metadata.siteName ? metadata.siteName : article.source,
+    author: metadata.author || article.author,
+    publishedAt: metadata.publishedAt || article.publishedAt,
+    summary: description ? cleanSummary(description) : article.summary,
+    content: description
+  });
+  
+  return { ...article, ...rebuilt, googleNewsUrl: article.url };
+}
+
+// Stories from the archived briefs of regular editions inside the lookback window
+async function loadArchivedStories(lookbackHours) {
+  const since = new Date(Date.now() - lookbackHours * 60 * 60 * 1000).toISOString();
+  const regular = editions.getEditions().filter(edition => !edition.includeArchive).map(edition => edition.id);
+  const records = await briefArchive.getBriefsSince(since, { editions: regular });
+  
+  const stories = new Map();
+  for (const { briefData } of records) {
+    for (const story of [...briefData.topStories, ...briefData.alsoNoted, ...briefData.alerts]) {
+      // Back to the original text; the summarizer cache still has the one-sentence version
+      if (!stories.has(story.id)) stories.set(story.id, { ...story, summary: story.excerpt || story.summary });
+    }
+  }
+  return [...stories.values()];
+}
+
+// Records every story in the brief, and the other articles covering it, as briefed so later
+// runs leave them out
+async function markBriefed({ topStories, alsoNoted, alerts }) {
+  const included = [...topStories, ...alsoNoted, ...alerts];
+  await articleStore.markInBrief([...included, ...included.flatMap(story => story.alsoCoveredBy || [])]);
+}
+
+// Every incident the alert watcher logged in the last day belongs in the brief, whether it was
+// emailed or held. Ones this run found again are annotated rather than listed twice.
+function mergeLoggedAlerts(alerts, logged) {
+  const matches = (entry, alert) => entry.id === alert.id || sameStory(entry, alert);
+  
+  const merged = alerts.map(alert => {
+    const entry = logged.find(candidate => matches(candidate, alert));
+    return entry ? { ...alert, alertStatus: entry.status, alertedAt: entry.detectedAt } : alert;
+  });
+  
+  for (const entry of logged) {
+    if (merged.some(alert => matches(entry, alert))) continue;
     
-    // Google News uses specific selectors for articles
-    $('article').each((i, element) => {
+    const { detectedAt, status, messageId, error, channels, ...article } = entry;
+    merged.push({ ...article, isAlert: true, alertStatus: status, alertedAt: detectedAt });
+  }
+  
+  return merged;
+}
+
+// Fetches one configured source and returns its articles, unfiltered
+async function fetchSource(source, options = {}) {
+  let articles;
+  switch (source.type) {
+    case 'google-news':
+      articles = await scrapeGoogleNews(sourceConfig.googleNewsUrl(source.query), options);
+      break;
+    case 'rss':
+      articles = await fetchRSSFeed(source, options);
+      break;
+    case 'html':
+      articles = await scrapeHtmlSource(source, options);
+      break;
+    default:
+      throw new Error(`Unsupported source type "${source.type}"`);
+  }
+  
+  return articles.map(article => ({
+    ...article,
+    sourceId: source.id,
+    sourcePriority: source.priority || 1,
+    official: Boolean(source.official)
+  }));
+}
+
+async function scrapeGoogleNews(searchUrl, options = {}) {
+  const articles = [];
+  
+  const response = await fetcher.fetchUrl(searchUrl, { signal: options.signal, snapshot: options.snapshot });
+  
+  const $ = cheerio.load(response.data);
+  
+  // Google News uses specific selectors for articles
+  $('article').each((i, element) => {
+    try {
+      const $article = $(element);
+      const $titleLink = $article.find('a[href*="/articles/"]').first();
+      const title = $titleLink.text().trim();
+      const href = $titleLink.attr('href');
+      
+      if (title && href && title.length > 10) {
+        // Extract source and time
+        const source = $article.find('div[data-n-tid]').first().text().trim() || 'Google News';
+        const timeText = $article.find('time').attr('datetime') || new Date().toISOString();
+        
+        const url = new URL(href, 'https://news.google.com/').toString();
+        articles.push(buildArticle({ title, url, source: cleanSource(source), publishedAt: timeText }));
+      }
+    } catch (err) {
+      // Skip malformed articles
+    }
+  });
+  
+  // Alternative selector for different Google News layouts
+  if (articles.length === 0) {
+    $('h3, h4').each((i, element) => {
       try {
-        const $article = $(element);
-        const $titleLink = $article.find('a[href*="/articles/"]').first();
-        const title = $titleLink.text().trim();
-        const href = $titleLink.attr('href');
+        const $headline = $(element);
+        const $link = $headline.find('a').first();
+        const title = $link.text().trim() || $headline.text().trim();
+        const href = $link.attr('href');
         
+        // Headlines without a link have nothing to resolve or dedupe on
         if (title && href && title.length > 10) {
-          // Extract source and time
-          const source = $article.find('div[data-n-tid]').first().text().trim() || 'Google News';
-          const timeText = $article.find('time').attr('datetime') || new Date().toISOString();
-          
-          const article = {
-            id: generateId(href),
-            title: cleanTitle(title),
-            url: href.startsWith('http') ? href : `https://news.google.com${href}`,
-            source: cleanSource(source),
-            publishedAt: timeText,
-            summary: generateSummaryFromTitle(title),
-            category: categorizeArticle(title, ''),
-            significance: assessSignificance(title, ''),
-            isAlert: isAlertWorthy(title, '')
-          };
-          
-          if (isThemeParkRelated(article) && isRecentArticle(article.publishedAt)) {
-            articles.push(article);
-          }
+          articles.push(buildArticle({
+            title,
+            url: new URL(href, 'https://news.google.com/').toString(),
+            source: 'Google News',
+            publishedAt: new Date().toISOString()
+          }));
         }
       } catch (err) {
         // Skip malformed articles
       }
     });
-    
-    // Alternative selector for different Google News layouts
-    if (articles.length === 0) {
-      $('h3, h4').each((i, element) => {
-        try {
-          const $headline = $(element);
-          const $link = $headline.find('a').first();
-          const title = $link.text().trim() || $headline.text().trim();
-          const href = $link.attr('href');
-          
-          if (title && title.length > 10) {
-            const article = {
-              id: generateId(title + Date.now()),
-              title: cleanTitle(title),
-              url: href && href.startsWith('http') ? href : `https://news.google.com/search?q=${encodeURIComponent(title)}`,
-              source: 'Google News',
-              publishedAt: new Date().toISOString(),
-              summary: generateSummaryFromTitle(title),
-              category: categorizeArticle(title, ''),
-              significance: assessSignificance(title, ''),
-              isAlert: isAlertWorthy(title, '')
-            };
-            
-            if (isThemeParkRelated(article)) {
-              articles.push(article);
-            }
-          }
-        } catch (err) {
-          // Skip malformed articles
-        }
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error scraping Google News:', error.message);
   }
   
   return articles;
 }
 
+async function fetchRSSFeed(source, options = {}) {
+  const response = await fetcher.fetchUrl(source.url, { conditional: true, signal: options.signal, snapshot: options.snapshot });
+  const feed = await parser.parseString(response.data);
+  return feed.items.slice(0, 10).map(item => parseRSSItem(item, source));
+}
+
 function parseRSSItem(item, source) {
-  return {
-    id: generateId(item.link),
-    title: cleanTitle(item.title),
+  return buildArticle({
+    title: item.title,
     url: item.link,
-    source: extractSource(item, source),
+    source: source.name,
+    author: item.creator || item.author || null,
     publishedAt: item.pubDate,
     summary: cleanSummary(item.contentSnippet || item.content || item.title),
-    category: categorizeArticle(item.title, item.contentSnippet),
-    significance: assessSignificance(item.title, item.contentSnippet),
-    isAlert: isAlertWorthy(item.title, item.contentSnippet)
-  };
+    content: item.contentSnippet
+  });
 }
 
-function generateSummaryFromTitle(title) {
-  // Create a basic summary from the title for Google News articles
-  if (title.length < 50) {
-    return title + '.';
-  }
+// Generic listing-page scraper driven by the source's CSS selectors
+async function scrapeHtmlSource(source, options = {}) {
+  const response = await fetcher.fetchUrl(source.url, { signal: options.signal, snapshot: options.snapshot });
   
-  const words = title.split(' ');
-  if (words.length > 15) {
-    return words.slice(0, 15).join(' ') + '...';
-  }
+  const $ = cheerio.load(response.data);
+  const selectors = source.selectors;
+  const articles = [];
+  
+  $(selectors.item).slice(0, 20).each((i, element) => {
+    const $item = $(element);
+    const $title = $item.find(selectors.title).first();
+    const $link = selectors.link ? $item.find(selectors.link).first() : ($title.is('a') ? $title : $item.find('a').first());
+    const title = $title.text().trim();
+    const href = $link.attr('href');
+    if (!title || !href) return;
+    
+    const $date = selectors.date ? $item.find(selectors.date).first() : null;
+    const summary = selectors.summary ? $item.find(selectors.summary).first().text() : '';
+    
+    articles.push(buildArticle({
+      title,
+      url: new URL(href, source.url).toString(),
+      source: source.name,
+      publishedAt: $date ? ($date.attr('datetime') || $date.text().trim() || null) : null,
+      summary: summary ? cleanSummary(summary) : '',
+      content: summary
+    }));
+  });
   
-  return title;
+  return articles;
+}
+
+function buildArticle({ title, url, source, author = null, publishedAt, summary = '', content = '' }) {
+  return {
+    id: generateId(canonicalizeUrl(url)),
+    title: cleanTitle(title),
+    url,
+    source,
+    author,
+    publishedAt,
+    summary,
+    category: categorizeArticle(title, content),
+    entities: entities.tagText(`${title} ${summary} ${content}`),
+    isAlert: isAlertWorthy(title, content)
+  };
 }
 
-function isRecentArticle(pubDate) {
+function isRecentArticle(pubDate, lookbackHours = 48) {
   if (!pubDate) return true;
   const articleDate = new Date(pubDate);
   const hoursAgo = (Date.now() - articleDate.getTime()) / (1000 * 60 * 60);
-  return hoursAgo <= 48; // 48 hour window
-}
-
-function isThemeParkRelated(article) {
-  const text = (article.title + ' ' + article.summary).toLowerCase();
-  const keywords = [
-    'theme park', 'amusement park', 'disney', 'universal', 'roller coaster', 
-    'attraction', 'themed experience', 'seaworld', 'six flags', 'cedar fair',
-    'legoland', 'knott', 'dollywood', 'busch gardens', 'dark ride',
-    'teamlab', 'immersive', 'meow wolf', 'area15', 'animatronic',
-    'coaster', 'ride', 'park', 'entertainment', 'experience', 'hersheypark',
-    'silver dollar city', 'knotts', 'magic kingdom', 'epcot', 'animal kingdom',
-    'hollywood studios', 'disneyland', 'california adventure'
-  ];
-  return keywords.some(keyword => text.includes(keyword));
+  return hoursAgo <= lookbackHours;
 }
 
-async function filterAndDeduplicate(articles) {
+// Returns the articles that survive plus a record of why every other article was dropped
+async function filterAndDeduplicate(articles, options = {}) {
   const filtered = [];
+  const dropped = [];
+  const rejections = [];
   const seenUrls = new Set();
-  const seenTitles = [];
+  const briefedTitles = await articleStore.getBriefedTitles();
+  const rules = await editorialRules.listRules();
+  
+  const drop = (article, reason, detail) => {
+    dropped.push({ title: article.title, url: article.url, source: article.source, reason, ...(detail && { detail }) });
+  };
   
   for (const article of articles) {
     // Check if blocked domain
-    if (NEWS_SOURCES.blockedDomains.some(domain => article.url.includes(domain))) {
+    const blockedDomain = sourceConfig.getBlockedDomains().find(domain => article.url.includes(domain));
+    if (blockedDomain) {
+      drop(article, 'blocked-domain', blockedDomain);
+      continue;
+    }
+    
+    const blockRule = editorialRules.findMatch(rules, 'block', article);
+    if (blockRule) {
+      drop(article, 'editor-blocked', blockRule.note || blockRule.url || blockRule.phrase || blockRule.source);
+      continue;
+    }
+    
+    if (!isRecentArticle(article.publishedAt, options.lookbackHours)) {
+      drop(article, 'not-recent', article.publishedAt);
+      continue;
+    }
+    
+    const result = relevance.classify(article);
+    if (!result.relevant) {
+      drop(article, 'not-relevant', result.detail ? `${result.reason}: ${result.detail}` : result.reason);
+      rejections.push({ article, result });
+      continue;
+    }
+    
+    // History check: skip anything that already went out in an earlier brief, unless this is
+    // a digest that deliberately revisits them
+    if (!options.includeBriefed && await articleStore.wasBriefed(article.id)) {
+      drop(article, 'already-briefed');
       continue;
     }
     
     // Check URL deduplication
     const canonicalUrl = canonicalizeUrl(article.url);
     if (seenUrls.has(canonicalUrl)) {
+      drop(article, 'duplicate-url', canonicalUrl);
       continue;
     }
     
-    // Check title similarity (less aggressive)
-    const similarTitle = seenTitles.find(title => 
+    // Near-duplicates within this run are grouped by clusterArticles; here we only
+    // drop headlines matching a story that already went out in an earlier brief
+    const similarTitle = !options.includeBriefed && briefedTitles.find(title => 
       stringSimilarity.compareTwoStrings(title, article.title) > 0.85
     );
     if (similarTitle) {
-      continue;
-    }
-    
-    // Cache check
-    const cacheKey = `article_${generateId(canonicalUrl)}`;
-    if (cache.has(cacheKey)) {
+      drop(article, 'similar-title', similarTitle);
       continue;
     }
     
     seenUrls.add(canonicalUrl);
-    seenTitles.push(article.title);
-    cache.set(cacheKey, true);
     
-    filtered.push(article);
+    filtered.push({ ...article, canonicalUrl, relevanceScore: result.score });
+  }
+  
+  if (rejections.length > 0) {
+    const byReason = {};
+    rejections.forEach(({ result }) => { byReason[result.reason] = (byReason[result.reason] || 0) + 1; });
+    console.log(`Relevance rejected ${rejections.length} articles: ${Object.entries(byReason).map(([reason, count]) => `${count} ${reason}`).join(', ')}`);
   }
   
-  return filtered;
+  if (!options.dryRun) {
+    await articleStore.recordSeen(filtered);
+    await relevance.logRejections(rejections);
+  }
+  return { filtered, dropped };
 }
 
 function canonicalizeUrl(url) {
@@ -302,46 +525,13 @@ function canonicalizeUrl(url) {
   }
 }
 
-async function generateSummary(topStories) {
+async function generateSummary(topStories, summarizer, lookbackHours = 24) {
   if (topStories.length === 0) {
-    return "No significant theme park news was discovered in the last 24 hours. Check back tomorrow for the latest updates.";
+    const window = lookbackHours % 24 === 0 && lookbackHours > 24 ? `${lookbackHours / 24} days` : `${lookbackHours} hours`;
+    return `No significant theme park news was discovered in the last ${window}. Check back soon for the latest updates.`;
   }
   
-  try {
-    // Simplified summary generation
-    const storyTitles = topStories.slice(0, 5).map(story => story.title).join('. ');
-    
-    const prompt = `Write a professional 3-paragraph "Today at a Glance" summary for these theme park news stories. Use 6th grade reading level and journalistic tone: ${storyTitles}`;
-    
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 400,
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ]
-      })
-    });
-    
-    if (response.ok) {
-      const data = await response.json();
-      return data.content[0].text;
-    } else {
-      throw new Error('API response not ok');
-    }
-  } catch (error) {
-    console.error('Error generating summary:', error);
-    // Fallback summary
-    const topTitles = topStories.slice(0, 3).map(story => story.title).join('. ');
-    return `Today's theme park industry developments include several notable announcements and updates. ${topTitles}. These stories reflect ongoing trends in theme park operations, guest experiences, and industry innovation. More details are available in the full stories below.`;
-  }
+  return summarizer.summarizeBrief(topStories.slice(0, 5));
 }
 
 function cleanTitle(title) {
@@ -365,16 +555,6 @@ function cleanSource(source) {
   return source;
 }
 
-function extractSource(item, fallback) {
-  if (item.creator) return item.creator;
-  if (item.author) return item.author;
-  if (fallback.includes('disneyparks')) return 'Disney Parks Blog';
-  if (fallback.includes('universalstudios')) return 'Universal Studios Blog';
-  if (fallback.includes('themeparkmagazine')) return 'Theme Park Magazine';
-  if (fallback.includes('prnewswire')) return 'PR Newswire';
-  return 'News Source';
-}
-
 function categorizeArticle(title, content) {
   const text = (title + ' ' + content).toLowerCase();
   
@@ -388,32 +568,15 @@ function categorizeArticle(title, content) {
   return 'General';
 }
 
-function assessSignificance(title, content) {
-  const text = (title + ' ' + content).toLowerCase();
-  
-  // Critical
-  if (text.includes('injury') || text.includes('death') || text.includes('evacuation') || 
-      text.includes('fire') || text.includes('derail') || text.includes('accident')) return 'critical';
-  
-  // High
-  if (text.includes('disney') || text.includes('universal') || text.includes('new ride') ||
-      text.includes('grand opening') || text.includes('acquisition') || text.includes('closure')) return 'high';
-  
-  // Medium  
-  if (text.includes('announcement') || text.includes('opening') || text.includes('expansion') ||
-      text.includes('construction') || text.includes('technology') || text.includes('partnership')) return 'medium';
-  
-  return 'low';
-}
-
+// Whole words only, so "fireworks" or "Deathly Hallows" don't set off an alert
 function isAlertWorthy(title, content) {
-  const text = (title + ' ' + content).toLowerCase();
-  return text.includes('injury') || text.includes('death') || text.includes('evacuation') || 
-         text.includes('derail') || text.includes('fire') || text.includes('emergency');
+  const text = `${title} ${content}`.toLowerCase();
+  return ALERT_TERMS.some(term => entities.findPhrase(text, term).length > 0);
 }
 
+// Stable content-based ID so the same story maps to the same history entry across runs
 function generateId(text) {
-  return Buffer.from(text + Date.now()).toString('base64').substring(0, 16);
+  return crypto.createHash('sha256').update(text).digest('hex').substring(0, 16);
 }
 
-module.exports = { generateDailyBrief };
+module.exports = { generateDailyBrief, markBriefed, discoverArticles, fetchSource, resolveArticles, filterAndDeduplicate, isAlertWorthy, CATEGORIES };
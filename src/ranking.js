@@ -0,0 +1,150 @@
+const { createConfig } = require('./configLoader');
+
+const config = createConfig('ranking', validateRankingConfig);
+
+// Scores every story from the weighted rules in config/ranking.json, sorts by score and then
+// applies the quotas. Each story gets `score`, a `significance` label derived from the score
+// and a `scoreExplanation` listing every rule that fired.
+function rankStories(stories, now = Date.now()) {
+  const rules = config.get();
+
+  const scored = stories
+    .map(story => scoreStory(story, rules, now))
+    .sort((a, b) => b.score - a.score || new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
+
+  return applyQuotas(scored, rules.quotas);
+}
+
+function scoreStory(story, rules, now) {
+  const explanation = [];
+  const text = `${story.title} ${story.excerpt || story.summary || ''}`.toLowerCase();
+
+  for (const { match, weight } of rules.phrases) {
+    if (containsPhrase(text, match)) {
+      explanation.push({ rule: `phrase:${match}`, points: weight });
+    }
+  }
+
+  const reputation = sourceReputation(story, rules.sources);
+  if (reputation) {
+    explanation.push({ rule: `source:${reputation.key}`, points: reputation.points });
+  }
+
+  // The priority weight from config/sources.json; 1 is neutral
+  const priorityPoints = ((story.sourcePriority || 1) - 1) * rules.sourcePriorityWeight;
+  if (priorityPoints !== 0) {
+    explanation.push({ rule: 'source-priority', points: round(priorityPoints) });
+  }
+
+  const ageHours = story.publishedAt ? Math.max((now - new Date(story.publishedAt).getTime()) / 3600000, 0) : null;
+  const recencyPoints = ageHours === null || Number.isNaN(ageHours)
+    ? rules.recency.weight / 2
+    : rules.recency.weight * Math.pow(0.5, ageHours / rules.recency.halfLifeHours);
+  explanation.push({ rule: 'recency', points: round(recencyPoints), ageHours: ageHours === null ? null : round(ageHours) });
+
+  const extraOutlets = Math.max((story.coverageCount || 1) - 1, 0);
+  if (extraOutlets > 0) {
+    explanation.push({ rule: 'coverage', points: Math.min(extraOutlets * rules.coverage.perOutlet, rules.coverage.max), outlets: story.coverageCount });
+  }
+
+  const score = round(explanation.reduce((sum, entry) => sum + entry.points, 0));
+  return { ...story, score, significance: significanceFor(score, rules.significance), scoreExplanation: explanation };
+}
+
+// Stories over a quota keep their score but move behind everything within quota
+function applyQuotas(stories, quotas) {
+  const counts = new Map();
+  const kept = [];
+  const demoted = [];
+
+  for (const story of stories) {
+    const text = `${story.title} ${story.excerpt || story.summary || ''}`.toLowerCase();
+    const matched = quotas.filter(quota =>
+      (quota.category && story.category === quota.category) ||
+      (quota.match && quota.match.some(phrase => containsPhrase(text, phrase)))
+    );
+    const exceeded = matched.find(quota => (counts.get(quota.name) || 0) >= quota.max);
+
+    if (exceeded) {
+      demoted.push({
+        ...story,
+        scoreExplanation: [...story.scoreExplanation, { rule: `quota:${exceeded.name}`, points: 0, demoted: true }]
+      });
+      continue;
+    }
+
+    matched.forEach(quota => counts.set(quota.name, (counts.get(quota.name) || 0) + 1));
+    kept.push(story);
+  }
+
+  return [...kept, ...demoted];
+}
+
+function sourceReputation(story, sources) {
+  for (const key of [story.sourceId, story.source]) {
+    if (key && sources[key] !== undefined) return { key, points: sources[key] };
+  }
+
+  const name = (story.source || '').toLowerCase();
+  const key = Object.keys(sources).find(candidate => candidate.toLowerCase() === name);
+  return key ? { key, points: sources[key] } : null;
+}
+
+function significanceFor(score, thresholds) {
+  if (score >= thresholds.critical) return 'critical';
+  if (score >= thresholds.high) return 'high';
+  if (score >= thresholds.medium) return 'medium';
+  return 'low';
+}
+
+// Whole-word match, so "fire" doesn't fire on "fireworks"
+function containsPhrase(text, phrase) {
+  const escaped = phrase.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}\\b`).test(text);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function validateRankingConfig(value) {
+  const errors = [];
+  if (!value || typeof value !== 'object') return ['config must be a JSON object'];
+
+  if (!Array.isArray(value.phrases) || value.phrases.some(rule => !rule || typeof rule.match !== 'string' || typeof rule.weight !== 'number')) {
+    errors.push('phrases must be a list of { match, weight }');
+  }
+  if (!value.sources || typeof value.sources !== 'object' || Object.values(value.sources).some(points => typeof points !== 'number')) {
+    errors.push('sources must map source ids or names to numbers');
+  }
+  if (typeof value.sourcePriorityWeight !== 'number') {
+    errors.push('sourcePriorityWeight must be a number');
+  }
+  if (!value.recency || typeof value.recency.weight !== 'number' || !(value.recency.halfLifeHours > 0)) {
+    errors.push('recency needs a numeric weight and a positive halfLifeHours');
+  }
+  if (!value.coverage || typeof value.coverage.perOutlet !== 'number' || typeof value.coverage.max !== 'number') {
+    errors.push('coverage needs numeric perOutlet and max');
+  }
+
+  const thresholds = value.significance || {};
+  if (!['critical', 'high', 'medium'].every(level => typeof thresholds[level] === 'number')) {
+    errors.push('significance needs numeric critical, high and medium thresholds');
+  }
+
+  if (!Array.isArray(value.quotas)) {
+    errors.push('quotas must be a list');
+  } else {
+    value.quotas.forEach((quota, index) => {
+      if (!quota || typeof quota.name !== 'string' || !Number.isInteger(quota.max) || quota.max < 0) {
+        errors.push(`quotas[${index}] needs a name and a whole-number max`);
+      } else if (!quota.category && !Array.isArray(quota.match)) {
+        errors.push(`quotas[${index}] (${quota.name}) needs a category or a match list`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { rankStories };
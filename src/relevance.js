@@ -0,0 +1,179 @@
+const fs = require('fs');
+const { createConfig } = require('./configLoader');
+const { dataPath, readLines, appendLines, writeFileAtomic } = require('./storage');
+const entities = require('./entities');
+
+const REJECTIONS_FILE = dataPath('relevance-rejections.jsonl');
+const REJECTION_RETENTION_DAYS = 14;
+// Entity types specific enough to stand in for a required phrase and outweigh an excluded one
+const PLACE_TYPES = ['park', 'venue'];
+
+const config = createConfig('relevance', validateRelevanceConfig);
+
+// Decides whether an article is about theme parks and themed experiences, using the rules in
+// config/relevance.json. In order:
+//   - an excluded phrase ("car park", "rideshare") rejects it, unless it names a known park or venue
+//   - it must contain a required phrase, name a park or venue or come from an official source
+//   - phrase, entity and source-trust points must reach the threshold
+// Operators alone prove little, since their names turn up in business and media news, so their
+// weight is kept below the threshold and they don't count as a park or venue above.
+// Returns { relevant, score, reason, detail, explanation }; reason is null for relevant articles.
+function classify(article, rules = config.get()) {
+  const text = `${article.title} ${article.excerpt || article.summary || ''}`.toLowerCase();
+  const explanation = [];
+
+  const tags = article.entities || entities.tagText(text);
+  const entityMatch = strongestEntity(tags, rules.entities);
+  const namesPlace = tags.some(slug => PLACE_TYPES.includes((entities.getEntity(slug) || {}).type));
+  const excluded = rules.excluded.find(phrase => contains(text, phrase));
+  if (excluded && !namesPlace) {
+    return reject('excluded-phrase', `"${excluded}"`, 0, [{ rule: `excluded:${excluded}`, points: null }]);
+  }
+
+  for (const { match, weight } of rules.phrases) {
+    if (contains(text, match)) explanation.push({ rule: `phrase:${match}`, points: weight });
+  }
+  if (entityMatch) {
+    explanation.push({ rule: `entity:${entityMatch.slug}`, points: entityMatch.points });
+  }
+
+  const trust = sourceTrust(article, rules);
+  if (trust) explanation.push(trust);
+
+  const score = explanation.reduce((sum, entry) => sum + entry.points, 0);
+  if (!namesPlace && !article.official && !rules.required.some(phrase => contains(text, phrase))) {
+    return reject('no-required-phrase', null, score, explanation);
+  }
+  if (score < rules.threshold) {
+    return reject('below-threshold', `score ${score} < ${rules.threshold}`, score, explanation);
+  }
+
+  return { relevant: true, score, reason: null, detail: null, explanation };
+}
+
+function reject(reason, detail, score, explanation) {
+  return { relevant: false, score, reason, detail, explanation };
+}
+
+// Only the best-scoring entity counts, so a park and its operator aren't added up
+function strongestEntity(tags, weights) {
+  let best = null;
+  for (const slug of tags) {
+    const entity = entities.getEntity(slug);
+    const points = entity ? weights[entity.type] || 0 : 0;
+    if (entity && (!best || points > best.points)) best = { slug, points };
+  }
+  return best;
+}
+
+// Trust by source ID or display name, plus a fixed bonus for a park operator's own feed
+function sourceTrust(article, rules) {
+  for (const key of [article.sourceId, article.source]) {
+    if (key && rules.sources[key] !== undefined) {
+      return { rule: `source:${key}`, points: rules.sources[key] + (article.official ? rules.officialSourceWeight : 0) };
+    }
+  }
+  return article.official ? { rule: 'source:official', points: rules.officialSourceWeight } : null;
+}
+
+function contains(text, phrase) {
+  return entities.findPhrase(text, phrase.toLowerCase()).length > 0;
+}
+
+// Appends one line per rejected article to data/relevance-rejections.jsonl, dropping lines
+// older than REJECTION_RETENTION_DAYS whenever there are some
+async function logRejections(rejections) {
+  if (rejections.length === 0) return;
+
+  const cutoff = Date.now() - REJECTION_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const lines = await readLines(REJECTIONS_FILE);
+  const kept = lines.filter(line => {
+    try {
+      return new Date(JSON.parse(line).rejectedAt).getTime() >= cutoff;
+    } catch {
+      return false;
+    }
+  });
+  if (kept.length < lines.length) {
+    await writeFileAtomic(REJECTIONS_FILE, kept.map(line => line + '\n').join(''));
+  }
+
+  const rejectedAt = new Date().toISOString();
+  await appendLines(REJECTIONS_FILE, rejections.map(({ article, result }) => JSON.stringify({
+    rejectedAt,
+    id: article.id,
+    title: article.title,
+    url: article.url,
+    source: article.source,
+    reason: result.reason,
+    ...(result.detail && { detail: result.detail }),
+    score: result.score,
+    explanation: result.explanation
+  })));
+}
+
+// Newest first
+async function getRejections({ limit = 100, reason = null } = {}) {
+  const records = [];
+  for (const line of (await readLines(REJECTIONS_FILE)).reverse()) {
+    if (records.length >= limit) break;
+    try {
+      const record = JSON.parse(line);
+      if (!reason || record.reason === reason) records.push(record);
+    } catch {
+      // Skip lines truncated by an interrupted write
+    }
+  }
+  return records;
+}
+
+// Reads and validates a rules file other than config/relevance.json, e.g. a candidate being tuned
+function loadRules(file) {
+  const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateRelevanceConfig(rules);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid relevance rules in ${file}:\n  - ${errors.join('\n  - ')}`);
+    error.status = 400;
+    error.details = errors;
+    throw error;
+  }
+  return rules;
+}
+
+function validateRelevanceConfig(value) {
+  const errors = [];
+  if (!value || typeof value !== 'object') return ['config must be a JSON object'];
+
+  if (typeof value.threshold !== 'number') {
+    errors.push('threshold must be a number');
+  }
+  for (const list of ['required', 'excluded']) {
+    if (!Array.isArray(value[list]) || value[list].some(phrase => typeof phrase !== 'string' || phrase.trim() === '')) {
+      errors.push(`${list} must be a list of phrases`);
+    }
+  }
+  if (!Array.isArray(value.phrases) || value.phrases.some(rule => !rule || typeof rule.match !== 'string' || typeof rule.weight !== 'number')) {
+    errors.push('phrases must be a list of { match, weight }');
+  }
+  const entityWeights = value.entities || {};
+  if (!['operator', 'park', 'venue'].every(type => typeof entityWeights[type] === 'number')) {
+    errors.push('entities needs numeric operator, park and venue weights');
+  } else if (typeof value.threshold === 'number' && entityWeights.operator >= value.threshold) {
+    errors.push('entities.operator must be below threshold, so naming an operator alone doesn\'t make an article relevant');
+  }
+  if (!value.sources || typeof value.sources !== 'object' || Object.values(value.sources).some(points => typeof points !== 'number')) {
+    errors.push('sources must map source ids or names to numbers');
+  }
+  if (typeof value.officialSourceWeight !== 'number') {
+    errors.push('officialSourceWeight must be a number');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  classify,
+  loadRules,
+  logRejections,
+  getRejections
+};
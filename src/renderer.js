@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const Mustache = require('mustache');
+
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, '..', 'templates');
+const DEFAULT_TEMPLATE = process.env.EMAIL_TEMPLATE || 'default';
+
+// Templates and settings are read on every render so edits apply without a restart
+function renderBrief(briefData, options = {}) {
+  const format = options.format || 'html';
+  const templateName = options.template || DEFAULT_TEMPLATE;
+  const template = loadTemplate(templateName, format);
+  const view = buildView(briefData, loadSettings(), options);
+  return render(template, view, format);
+}
+
+function renderSubject(briefData, options = {}) {
+  const settings = loadSettings();
+  return `${briefData.title || settings.title} for ${formatBriefDate(briefData.generatedAt, options.timeZone)}`;
+}
+
+// The short email the alert watcher sends for a single breaking story
+function renderAlert(story, options = {}) {
+  const format = options.format || 'html';
+  const template = loadTemplate(options.template || DEFAULT_TEMPLATE, format, 'alert');
+  const view = buildAlertView(story, loadSettings(), options);
+  return render(template, view, format);
+}
+
+function renderAlertSubject(story) {
+  return `${loadSettings().alertTitle}: ${story.title}`;
+}
+
+// Every {{field}} is HTML-escaped in HTML layouts and left as-is in plain text
+function render(template, view, format) {
+  const escape = format === 'text' ? value => String(value) : escapeHtml;
+  return Mustache.render(template, view, {}, { escape });
+}
+
+function listTemplates() {
+  return fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+}
+
+function loadTemplate(name, format, layout = 'brief') {
+  if (!/^[a-z0-9-]+$/i.test(name) || !listTemplates().includes(name)) {
+    throw new Error(`Unknown email template "${name}" (available: ${listTemplates().join(', ')})`);
+  }
+
+  // A template may provide only some layouts and reuse the default ones for the rest
+  const extension = format === 'text' ? 'txt' : 'html';
+  for (const dir of [name, 'default']) {
+    const file = path.join(TEMPLATES_DIR, dir, `${layout}.${extension}.mustache`);
+    if (fs.existsSync(file)) return fs.readFileSync(file, 'utf8');
+  }
+  throw new Error(`Template "${name}" has no ${format} ${layout} layout`);
+}
+
+function loadSettings() {
+  return JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'settings.json'), 'utf8'));
+}
+
+function buildView(briefData, settings, options) {
+  const toStory = (story, index) => {
+    const coverage = (story.alsoCoveredBy || []).map((other, otherIndex, all) => ({
+      source: other.source,
+      url: safeUrl(other.url),
+      last: otherIndex === all.length - 1
+    }));
+
+    return {
+      number: index + 1,
+      title: story.title,
+      summary: story.summary,
+      source: story.source,
+      url: safeUrl(story.url),
+      alsoCoveredBy: coverage,
+      hasAlsoCoveredBy: coverage.length > 0,
+      coverageWrapped: wrapText(`${settings.sections.alsoCoveredBy}: ${coverage.map(other => other.source).join(', ')}`, '   ').join('\n'),
+      wrapped: [...wrapText(`${index + 1}. ${story.title}`), ...wrapText(story.summary, '   ')].join('\n')
+    };
+  };
+  const toNoted = story => ({
+    title: story.title,
+    summary: story.summary,
+    source: story.source,
+    url: safeUrl(story.url),
+    wrapped: wrapText(`- ${story.summary}`).join('\n')
+  });
+
+  const toAlert = alert => ({
+    summary: alert.summary || alert.title,
+    source: alert.source,
+    url: safeUrl(alert.url),
+    wrapped: wrapText(`${settings.sections.developing.toUpperCase()}: ${alert.summary || alert.title}`).join('\n')
+  });
+
+  // Terms and entities mentioned far more this week than usual, from the analytics counts
+  const toTrend = trend => {
+    const text = `${trend.label}: ${trend.count} ${trend.count === 1 ? 'article' : 'articles'} this week, usually ${trend.baseline}`;
+    return { label: trend.label, count: trend.count, baseline: trend.baseline, text, wrapped: wrapText(`- ${text}`).join('\n') };
+  };
+
+  // Dated events from the events store; without any, "What's Next" shows the settings' lines
+  const toEvent = event => {
+    const when = formatEventDates(event);
+    const label = `${(settings.eventTypes || {})[event.type] || event.type}: ${event.title}`;
+    return {
+      when,
+      label,
+      source: event.source,
+      url: safeUrl(event.url),
+      wrapped: wrapText(`- ${when}: ${label}`).join('\n')
+    };
+  };
+
+  // Editions grouped by operator list their top stories under one heading per operator;
+  // otherwise there's a single section without a heading
+  const byId = new Map(briefData.topStories.map(story => [story.id, story]));
+  const grouped = briefData.sections
+    ? briefData.sections.map(section => ({
+      heading: section.name || settings.sections.otherNews,
+      stories: section.storyIds.map(id => byId.get(id)).filter(Boolean)
+    })).filter(section => section.stories.length > 0)
+    : [{ heading: null, stories: briefData.topStories }];
+  let number = 0;
+  const topStorySections = grouped.map(section => ({
+    heading: section.heading,
+    headingUpper: section.heading && section.heading.toUpperCase(),
+    stories: section.stories.map(story => toStory(story, number++))
+  }));
+
+  const upper = values => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value.toUpperCase()]));
+  const date = formatBriefDate(briefData.generatedAt, options.timeZone);
+  // Editions may carry their own title, e.g. the weekly digest
+  const title = briefData.title || settings.title;
+
+  return {
+    ...settings,
+    title,
+    date,
+    dateUpper: date.toUpperCase(),
+    titleUpper: title.toUpperCase(),
+    sectionsUpper: upper(settings.sections),
+    alerts: briefData.alerts.map(toAlert),
+    summary: briefData.summary,
+    summaryWrapped: wrapText(briefData.summary).join('\n'),
+    topStorySections,
+    topStories: topStorySections.flatMap(section => section.stories),
+    alsoNoted: briefData.alsoNoted.map(toNoted),
+    hasAlsoNoted: briefData.alsoNoted.length > 0,
+    trending: (briefData.trending || []).map(toTrend),
+    hasTrending: (briefData.trending || []).length > 0,
+    upcoming: (briefData.upcoming || []).map(toEvent),
+    hasUpcoming: (briefData.upcoming || []).length > 0,
+    footer: { ...settings.footer, linkUrl: safeUrl(settings.footer.linkUrl) },
+    unsubscribeUrl: safeUrl(options.unsubscribeUrl)
+  };
+}
+
+function buildAlertView(story, settings, options) {
+  const coverage = (story.alsoCoveredBy || []).map((other, index, all) => ({
+    source: other.source,
+    url: safeUrl(other.url),
+    last: index === all.length - 1
+  }));
+  const time = new Date(story.publishedAt || Date.now()).toLocaleString('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: options.timeZone
+  });
+
+  return {
+    ...settings,
+    alertTitleUpper: settings.alertTitle.toUpperCase(),
+    title: story.title,
+    titleWrapped: wrapText(story.title).join('\n'),
+    summary: story.summary,
+    summaryWrapped: wrapText(story.summary).join('\n'),
+    source: story.source,
+    url: safeUrl(story.url),
+    time,
+    alsoCoveredBy: coverage,
+    hasAlsoCoveredBy: coverage.length > 0,
+    coverageWrapped: wrapText(`${settings.sections.alsoCoveredBy}: ${coverage.map(other => other.source).join(', ')}`).join('\n'),
+    footer: { ...settings.footer, linkUrl: safeUrl(settings.footer.linkUrl) },
+    unsubscribeUrl: safeUrl(options.unsubscribeUrl)
+  };
+}
+
+// Only http(s) links make it into the email; anything else (javascript:, data:, relative) is dropped
+function safeUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// "Oct 24" or "Oct 24 – Nov 2"; event dates are calendar days, so they are formatted in UTC
+function formatEventDates(event) {
+  const format = date => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return event.endDate ? `${format(event.date)} – ${format(event.endDate)}` : format(event.date);
+}
+
+function formatBriefDate(generatedAt, timeZone) {
+  return new Date(generatedAt || Date.now()).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone
+  });
+}
+
+function wrapText(text, indent = '', width = 72) {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    if (line && indent.length + line.length + 1 + word.length > width) {
+      lines.push(indent + line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(indent + line);
+
+  return lines;
+}
+
+module.exports = {
+  renderBrief,
+  renderSubject,
+  renderAlert,
+  renderAlertSubject,
+  listTemplates,
+  loadSettings,
+  safeUrl,
+  escapeHtml
+};
@@ -0,0 +1,193 @@
+// The editor's review page at /review. It is static: the admin token is kept in the browser's
+// session storage and every action goes through the /admin/drafts routes. Scraped text is only
+// ever inserted with textContent or form values, never as HTML.
+function renderReviewPage() {
+  return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Brief review</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 0; color: #333; }
+        header { background: #3081c3; color: #fff; padding: 10px 20px; display: flex; gap: 12px; align-items: center; }
+        header h1 { font-size: 18px; margin: 0; flex: 1; }
+        main { display: grid; grid-template-columns: minmax(420px, 1fr) 1fr; gap: 20px; padding: 20px; }
+        h2 { font-size: 15px; color: #3081c3; margin: 20px 0 8px; }
+        .story { border: 1px solid #ddd; border-radius: 4px; padding: 8px; margin: 6px 0; background: #fff; }
+        .story.pinned { border-color: #ffc107; background: #fffbea; }
+        .story input, .story textarea, #summary { width: 100%; box-sizing: border-box; font: inherit; margin: 2px 0; }
+        .story textarea, #summary { min-height: 54px; }
+        .meta { font-size: 12px; color: #666; }
+        .actions { display: flex; gap: 6px; flex-wrap: wrap; margin-top: 4px; }
+        button { cursor: pointer; }
+        #status { font-size: 13px; }
+        #error { color: #b00020; }
+        iframe { width: 100%; height: 85vh; border: 1px solid #ddd; }
+        .hidden { display: none; }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>Brief review</h1>
+        <select id="drafts"></select>
+        <input id="token" type="password" placeholder="Admin token" size="16">
+        <button id="save-token">Use token</button>
+    </header>
+    <main>
+        <section>
+            <div id="status"></div>
+            <div id="error"></div>
+            <div id="editor" class="hidden">
+                <h2>At a glance</h2>
+                <textarea id="summary"></textarea>
+                <div class="actions"><button id="save-summary">Save overview</button></div>
+                <h2>Top stories</h2>
+                <div id="topStories"></div>
+                <h2>Also noted</h2>
+                <div id="alsoNoted"></div>
+                <h2>Decision</h2>
+                <div class="actions">
+                    <button id="approve">Approve and send</button>
+                    <button id="discard">Discard draft</button>
+                </div>
+            </div>
+        </section>
+        <section>
+            <iframe id="preview" title="Preview" sandbox=""></iframe>
+        </section>
+    </main>
+    <script>
+    (function () {
+        var token = sessionStorage.getItem('adminToken') || '';
+        var draft = null;
+        var $ = function (id) { return document.getElementById(id); };
+
+        function api(method, path, body) {
+            return fetch(path, {
+                method: method,
+                headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            }).then(function (response) {
+                var type = response.headers.get('Content-Type') || '';
+                var read = type.indexOf('json') !== -1 ? response.json() : response.text();
+                return read.then(function (data) {
+                    if (!response.ok) throw new Error(data.error || response.statusText);
+                    return data;
+                });
+            });
+        }
+
+        function showError(error) { $('error').textContent = error ? error.message : ''; }
+
+        function element(tag, text, className) {
+            var node = document.createElement(tag);
+            if (text) node.textContent = text;
+            if (className) node.className = className;
+            return node;
+        }
+
+        function button(label, onClick) {
+            var node = element('button', label);
+            node.addEventListener('click', function () { showError(null); onClick(); });
+            return node;
+        }
+
+        function loadDrafts() {
+            return api('GET', '/admin/drafts').then(function (data) {
+                var select = $('drafts');
+                select.textContent = '';
+                data.drafts.forEach(function (item) {
+                    var option = element('option', item.edition + ' ' + item.createdAt.slice(0, 16).replace('T', ' ') + ' (' + item.status + ')');
+                    option.value = item.id;
+                    select.appendChild(option);
+                });
+                var pending = data.drafts.find(function (item) { return item.status === 'pending'; }) || data.drafts[0];
+                if (pending) { select.value = pending.id; return loadDraft(pending.id); }
+                $('status').textContent = 'No drafts yet.';
+            });
+        }
+
+        function loadDraft(id) {
+            return api('GET', '/admin/drafts/' + id).then(render);
+        }
+
+        function edit(method, path, body) {
+            return api(method, '/admin/drafts/' + draft.id + path, body).then(function (data) { render(data.draft); }).catch(showError);
+        }
+
+        function move(list, index, offset) {
+            var top = draft.briefData.topStories.map(function (story) { return story.id; });
+            var noted = draft.briefData.alsoNoted.map(function (story) { return story.id; });
+            var all = top.concat(noted);
+            var from = (list === 'alsoNoted' ? top.length : 0) + index;
+            var to = from + offset;
+            if (to < 0 || to >= all.length) return;
+            all.splice(to, 0, all.splice(from, 1)[0]);
+            edit('PUT', '/order', { topStories: all.slice(0, top.length), alsoNoted: all.slice(top.length) });
+        }
+
+        function renderStory(story, list, index) {
+            var card = element('div', null, 'story' + (story.pinned ? ' pinned' : ''));
+            var title = element('input');
+            title.value = story.title;
+            var summary = element('textarea');
+            summary.value = story.summary || '';
+            card.appendChild(title);
+            card.appendChild(summary);
+            card.appendChild(element('div', story.source + (story.pinned ? ' · pinned' : '') + (story.edited ? ' · edited' : ''), 'meta'));
+
+            var actions = element('div', null, 'actions');
+            var path = '/stories/' + encodeURIComponent(story.id);
+            actions.appendChild(button('Up', function () { move(list, index, -1); }));
+            actions.appendChild(button('Down', function () { move(list, index, 1); }));
+            actions.appendChild(button('Save text', function () { edit('PATCH', path, { title: title.value, summary: summary.value }); }));
+            actions.appendChild(story.pinned
+                ? button('Unpin', function () { edit('POST', path + '/unpin'); })
+                : button('Pin', function () { edit('POST', path + '/pin', { always: confirm('Also pin this URL in future briefs?') }); }));
+            actions.appendChild(button('Remove', function () { edit('POST', path + '/remove', { always: confirm('Also skip this URL in future briefs?') }); }));
+            card.appendChild(actions);
+            return card;
+        }
+
+        function render(data) {
+            draft = data;
+            var pending = draft.status === 'pending';
+            $('status').textContent = draft.edition + ' draft ' + draft.id + ': ' + draft.status +
+                (pending ? ', sends automatically at ' + new Date(draft.deadline).toLocaleString() : '') +
+                ' · ' + draft.changes.length + ' change(s)';
+            $('editor').className = pending ? '' : 'hidden';
+            $('summary').value = draft.briefData.summary;
+            ['topStories', 'alsoNoted'].forEach(function (list) {
+                var container = $(list);
+                container.textContent = '';
+                draft.briefData[list].forEach(function (story, index) { container.appendChild(renderStory(story, list, index)); });
+            });
+            api('GET', '/admin/drafts/' + draft.id + '/preview').then(function (html) { $('preview').srcdoc = html; }).catch(showError);
+        }
+
+        $('save-token').addEventListener('click', function () {
+            token = $('token').value;
+            sessionStorage.setItem('adminToken', token);
+            loadDrafts().catch(showError);
+        });
+        $('drafts').addEventListener('change', function () { loadDraft(this.value).catch(showError); });
+        $('save-summary').addEventListener('click', function () { edit('PATCH', '', { summary: $('summary').value }); });
+        $('approve').addEventListener('click', function () {
+            if (!confirm('Send this brief now?')) return;
+            api('POST', '/admin/drafts/' + draft.id + '/approve').catch(showError).then(function () { return loadDraft(draft.id); });
+        });
+        $('discard').addEventListener('click', function () {
+            if (!confirm('Discard this draft? Nothing will be sent.')) return;
+            api('POST', '/admin/drafts/' + draft.id + '/discard').catch(showError).then(function () { return loadDraft(draft.id); });
+        });
+
+        if (token) loadDrafts().catch(showError);
+    })();
+    </script>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReviewPage };
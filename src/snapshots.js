@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson, writeFileAtomic, ensureDir } = require('./storage');
+const { CONFIG_DIR } = require('./configLoader');
+
+const SNAPSHOTS_DIR = dataPath('snapshots');
+const SNAPSHOT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{6}Z-[a-z0-9-]+$/i;
+const RETENTION_DAYS = parseInt(process.env.SNAPSHOT_RETENTION_DAYS, 10) || 14;
+// Data that changes what a run produces, copied so a replay starts from the same state. The
+// dated directories are copied for the last STATE_DAYS days: enough for trending and the weekly digest.
+const STATE_FILES = ['article-history.jsonl', 'editorial-rules.json', 'alerts.json', 'events.json', 'summary-cache.json'];
+const STATE_DIRS = ['analytics', 'briefs'];
+const STATE_DAYS = 40;
+
+// A snapshot is everything one brief run read: data/snapshots/<recorded at>-<edition>/ holds
+// manifest.json (run details and the outcome of every fetch), responses/ (raw bodies), config/
+// (the config files at the time) and state/ (the data files above). brief.json is what the run
+// produced, for comparing replays with.
+async function startRecording(edition, now = new Date()) {
+  const id = `${now.toISOString().slice(0, 19).replace(/:/g, '')}Z-${edition}`;
+  const dir = path.join(SNAPSHOTS_DIR, id);
+  await pruneSnapshots(now);
+  await copyDir(CONFIG_DIR, path.join(dir, 'config'), name => name.endsWith('.json'));
+  await copyState(dataPath(), path.join(dir, 'state'), now);
+
+  const responses = {};
+  const bodies = new Map();
+
+  return {
+    id,
+    mode: 'record',
+    recordedAt: now.toISOString(),
+
+    record(url, response) {
+      const file = `${hash(url)}.txt`;
+      bodies.set(file, typeof response.data === 'string' ? response.data : JSON.stringify(response.data));
+      responses[url] = { file, status: response.status, finalUrl: response.finalUrl };
+    },
+
+    recordError(url, error) {
+      responses[url] = {
+        error: {
+          message: error.message,
+          ...(error.code && { code: error.code }),
+          ...(error.response && { status: error.response.status })
+        }
+      };
+    },
+
+    // Writes the responses and the manifest; `outcome` is the brief data or the error that ended the run
+    async finish(outcome) {
+      for (const [file, body] of bodies) {
+        await writeFileAtomic(path.join(dir, 'responses', file), body);
+      }
+      const failed = outcome instanceof Error;
+      await writeJson(path.join(dir, 'manifest.json'), {
+        id,
+        edition,
+        recordedAt: now.toISOString(),
+        finishedAt: new Date().toISOString(),
+        ...(failed && { error: outcome.message }),
+        responses
+      });
+      if (!failed) await writeJson(path.join(dir, 'brief.json'), outcome);
+      console.log(`Recorded ${Object.keys(responses).length} responses to snapshot ${id}`);
+    }
+  };
+}
+
+// Serves a snapshot's responses in place of the network. A URL the recorded run never fetched
+// fails with code ENOTRECORDED, like a network error would.
+async function openReplay(id, dir = snapshotDir(id)) {
+  const manifest = await readJson(path.join(dir, 'manifest.json'), null);
+  if (!manifest) throw httpError(404, `Snapshot ${id} not found`);
+
+  return {
+    id,
+    mode: 'replay',
+    manifest,
+    recordedAt: manifest.recordedAt,
+
+    async replay(url) {
+      const entry = manifest.responses[url];
+      if (!entry) {
+        const error = new Error(`Not in snapshot ${id}: ${url}`);
+        error.code = 'ENOTRECORDED';
+        throw error;
+      }
+      if (entry.error) {
+        const error = new Error(entry.error.message);
+        if (entry.error.code) error.code = entry.error.code;
+        if (entry.error.status) error.response = { status: entry.error.status, headers: {} };
+        throw error;
+      }
+      const data = await fs.promises.readFile(path.join(dir, 'responses', entry.file), 'utf8');
+      return { url, finalUrl: entry.finalUrl, status: entry.status, data, notModified: false };
+    }
+  };
+}
+
+// Newest first
+async function listSnapshots() {
+  const snapshots = [];
+  for (const id of (await listSnapshotIds()).reverse()) {
+    const manifest = await readJson(path.join(SNAPSHOTS_DIR, id, 'manifest.json'), null);
+    if (!manifest) continue;
+    snapshots.push({
+      id,
+      edition: manifest.edition,
+      recordedAt: manifest.recordedAt,
+      responses: Object.keys(manifest.responses).length,
+      ...(manifest.error && { error: manifest.error })
+    });
+  }
+  return snapshots;
+}
+
+function snapshotDir(id) {
+  if (!SNAPSHOT_ID_PATTERN.test(id)) throw httpError(400, `Invalid snapshot id "${id}"`);
+  return path.join(SNAPSHOTS_DIR, id);
+}
+
+// Makes `new Date()` and `Date.now()` return `time` for the rest of the process, so a replay
+// computes ages, lookback windows and dates exactly as the recorded run did. Timers still run.
+function freezeClock(time) {
+  const frozen = new Date(time).getTime();
+  const RealDate = Date;
+  global.Date = class FrozenDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length === 0 ? [frozen] : args));
+    }
+
+    static now() {
+      return frozen;
+    }
+  };
+}
+
+async function copyState(fromDir, toDir, now) {
+  await ensureDir(toDir);
+  for (const file of STATE_FILES) {
+    await copyFileIfExists(path.join(fromDir, file), path.join(toDir, file));
+  }
+  const since = new Date(now.getTime() - STATE_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  for (const name of STATE_DIRS) {
+    await copyDir(path.join(fromDir, name), path.join(toDir, name), entry => entry.slice(0, 10) >= since);
+  }
+}
+
+async function copyDir(fromDir, toDir, include = () => true) {
+  let entries = [];
+  try {
+    entries = await fs.promises.readdir(fromDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  await ensureDir(toDir);
+  for (const entry of entries.filter(entry => include(entry.name))) {
+    const from = path.join(fromDir, entry.name);
+    const to = path.join(toDir, entry.name);
+    if (entry.isDirectory()) await copyDir(from, to);
+    else if (entry.isFile()) await fs.promises.copyFile(from, to);
+  }
+}
+
+async function copyFileIfExists(from, to) {
+  try {
+    await fs.promises.copyFile(from, to);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+// Oldest first, including recordings that never got as far as writing their manifest
+async function listSnapshotIds() {
+  try {
+    return (await fs.promises.readdir(SNAPSHOTS_DIR)).filter(name => SNAPSHOT_ID_PATTERN.test(name)).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return [];
+  }
+}
+
+// Goes by the recording date at the start of each id, so a snapshot without a manifest is
+// removed too
+async function pruneSnapshots(now) {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  for (const id of await listSnapshotIds()) {
+    if (id.slice(0, 10) < cutoff) {
+      await fs.promises.rm(path.join(SNAPSHOTS_DIR, id), { recursive: true, force: true });
+    }
+  }
+}
+
+function hash(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').substring(0, 24);
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  startRecording,
+  openReplay,
+  listSnapshots,
+  snapshotDir,
+  freezeClock
+};
@@ -0,0 +1,125 @@
+const { createConfig } = require('./configLoader');
+
+const SOURCE_TYPES = ['rss', 'google-news', 'html'];
+
+const config = createConfig('sources', validateSourceConfig);
+
+function getSources({ enabledOnly = false } = {}) {
+  const { sources } = config.get();
+  return enabledOnly ? sources.filter(source => source.enabled !== false) : sources;
+}
+
+function getSource(id) {
+  return getSources().find(source => source.id === id) || null;
+}
+
+function getBlockedDomains() {
+  return config.get().blockedDomains;
+}
+
+async function addSource(source) {
+  const current = config.get();
+  if (current.sources.some(existing => existing.id === source.id)) {
+    const error = new Error(`Source "${source.id}" already exists`);
+    error.status = 409;
+    throw error;
+  }
+
+  const added = { enabled: true, priority: 1, ...source };
+  await config.save({ ...current, sources: [...current.sources, added] });
+  return added;
+}
+
+async function setSourceEnabled(id, enabled) {
+  const current = config.get();
+  if (!current.sources.some(source => source.id === id)) return null;
+
+  const sources = current.sources.map(source => (source.id === id ? { ...source, enabled } : source));
+  await config.save({ ...current, sources });
+  return sources.find(source => source.id === id);
+}
+
+function googleNewsUrl(query) {
+  return `https://news.google.com/search?q=${encodeURIComponent(query)}&hl=en-US&gl=US&ceid=US%3Aen`;
+}
+
+function validateSourceConfig(value) {
+  const errors = [];
+  if (!value || typeof value !== 'object') return ['config must be a JSON object'];
+
+  if (!Array.isArray(value.sources)) {
+    errors.push('sources must be a list');
+  } else {
+    const ids = new Set();
+    value.sources.forEach((source, index) => {
+      const label = `sources[${index}]${source && source.id ? ` (${source.id})` : ''}`;
+      errors.push(...validateSource(source).map(error => `${label}: ${error}`));
+      if (source && ids.has(source.id)) errors.push(`${label}: duplicate id`);
+      if (source) ids.add(source.id);
+    });
+  }
+
+  if (!isStringList(value.blockedDomains)) errors.push('blockedDomains must be a list of strings');
+
+  return errors;
+}
+
+function validateSource(source) {
+  if (!source || typeof source !== 'object') return ['must be an object'];
+
+  const errors = [];
+  if (typeof source.id !== 'string' || !/^[a-z0-9-]+$/.test(source.id)) {
+    errors.push('id must be lowercase letters, digits and dashes');
+  }
+  if (typeof source.name !== 'string' || source.name.trim() === '') {
+    errors.push('name is required');
+  }
+  if (!SOURCE_TYPES.includes(source.type)) {
+    errors.push(`type must be one of ${SOURCE_TYPES.join(', ')}`);
+  }
+  if (source.priority !== undefined && (typeof source.priority !== 'number' || source.priority <= 0)) {
+    errors.push('priority must be a positive number');
+  }
+  if (source.enabled !== undefined && typeof source.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  if (source.official !== undefined && typeof source.official !== 'boolean') {
+    errors.push('official must be true or false');
+  }
+
+  if (source.type === 'google-news' && (typeof source.query !== 'string' || source.query.trim() === '')) {
+    errors.push('google-news sources need a query');
+  }
+  if ((source.type === 'rss' || source.type === 'html') && !isHttpUrl(source.url)) {
+    errors.push(`${source.type} sources need an http(s) url`);
+  }
+  if (source.type === 'html') {
+    const selectors = source.selectors || {};
+    if (typeof selectors.item !== 'string' || typeof selectors.title !== 'string') {
+      errors.push('html sources need selectors.item and selectors.title');
+    }
+  }
+
+  return errors;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  getSources,
+  getSource,
+  getBlockedDomains,
+  addSource,
+  setSourceEnabled,
+  googleNewsUrl
+};
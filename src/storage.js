@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+async function ensureDir(dir) {
+  await fs.promises.mkdir(dir, { recursive: true });
+}
+
+async function readJson(file, fallback) {
+  try {
+    const contents = await fs.promises.readFile(file, 'utf8');
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Write to a temp file and rename so a crash never leaves half a file behind
+async function writeJson(file, data) {
+  await writeFileAtomic(file, JSON.stringify(data, null, 2));
+}
+
+async function writeFileAtomic(file, contents) {
+  await ensureDir(path.dirname(file));
+  const tmpFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.promises.writeFile(tmpFile, contents);
+  await fs.promises.rename(tmpFile, file);
+}
+
+async function readLines(file) {
+  try {
+    const contents = await fs.promises.readFile(file, 'utf8');
+    return contents.split('\n').filter(line => line.trim().length > 0);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function appendLines(file, lines) {
+  if (lines.length === 0) return;
+  await ensureDir(path.dirname(file));
+  await fs.promises.appendFile(file, lines.map(line => line + '\n').join(''));
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  ensureDir,
+  readJson,
+  writeJson,
+  writeFileAtomic,
+  readLines,
+  appendLines
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { CATEGORIES } = require('./newsProcessor');
+const { listTemplates } = require('./renderer');
+
+const SUBSCRIBERS_FILE = dataPath('subscribers.json');
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function listSubscribers() {
+  return readJson(SUBSCRIBERS_FILE, []);
+}
+
+async function addSubscriber(input) {
+  const subscriber = validateSubscriber(input);
+  const subscribers = await listSubscribers();
+
+  if (subscribers.some(existing => existing.email === subscriber.email)) {
+    throw httpError(409, `${subscriber.email} is already subscribed`);
+  }
+
+  subscribers.push(subscriber);
+  await writeJson(SUBSCRIBERS_FILE, subscribers);
+  console.log(`Added subscriber ${subscriber.email}`);
+  return subscriber;
+}
+
+async function removeSubscriber(id) {
+  const subscribers = await listSubscribers();
+  const remaining = subscribers.filter(subscriber => subscriber.id !== id);
+  if (remaining.length === subscribers.length) return null;
+
+  await writeJson(SUBSCRIBERS_FILE, remaining);
+  return subscribers.find(subscriber => subscriber.id === id);
+}
+
+async function findByUnsubscribeToken(token) {
+  const subscribers = await listSubscribers();
+  return subscribers.find(existing => existing.unsubscribeToken === token) || null;
+}
+
+async function unsubscribe(token) {
+  const subscriber = await findByUnsubscribeToken(token);
+  if (!subscriber) return null;
+
+  await removeSubscriber(subscriber.id);
+  console.log(`Unsubscribed ${subscriber.email}`);
+  return subscriber;
+}
+
+// With no stored subscribers the brief still goes to EMAIL_TO, unfiltered
+async function getRecipients(fallbackEmail) {
+  const subscribers = await listSubscribers();
+  if (subscribers.length > 0) return subscribers;
+
+  return [{ email: fallbackEmail, name: '', timezone: DEFAULT_TIMEZONE, categories: [], parks: [], alertsOnly: false }];
+}
+
+// Narrows a brief to the subscriber's categories and parks. Alerts are always kept.
+function personalizeBrief(briefData, subscriber) {
+  if (subscriber.alertsOnly) {
+    return { ...briefData, topStories: [], alsoNoted: [] };
+  }
+
+  const categories = subscriber.categories || [];
+  const parks = (subscriber.parks || []).map(park => park.toLowerCase());
+  if (categories.length === 0 && parks.length === 0) return briefData;
+
+  const matches = story => {
+    const text = `${story.title} ${story.summary}`.toLowerCase();
+    return categories.includes(story.category) || parks.some(park => text.includes(park));
+  };
+
+  return {
+    ...briefData,
+    topStories: briefData.topStories.filter(matches),
+    alsoNoted: briefData.alsoNoted.filter(matches)
+  };
+}
+
+// One plain address: no display name, whitespace or line breaks
+function isValidEmail(email) {
+  return typeof email === 'string' && EMAIL_PATTERN.test(email);
+}
+
+function validateSubscriber(input = {}) {
+  const email = String(input.email || '').trim().toLowerCase();
+  if (!isValidEmail(email)) {
+    throw httpError(400, 'A valid email address is required');
+  }
+
+  const timezone = input.timezone || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (err) {
+    throw httpError(400, `Unknown timezone "${timezone}"`);
+  }
+
+  const categories = input.categories || [];
+  if (!Array.isArray(categories)) {
+    throw httpError(400, 'categories must be a list');
+  }
+  const unknown = categories.filter(category => !CATEGORIES.includes(category));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown categories: ${unknown.join(', ')} (expected any of: ${CATEGORIES.join(', ')})`);
+  }
+
+  const parks = input.parks || [];
+  if (!Array.isArray(parks) || parks.some(park => typeof park !== 'string')) {
+    throw httpError(400, 'parks must be a list of park names');
+  }
+
+  if (input.template && !listTemplates().includes(input.template)) {
+    throw httpError(400, `Unknown template "${input.template}" (available: ${listTemplates().join(', ')})`);
+  }
+
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    email,
+    name: String(input.name || '').trim(),
+    timezone,
+    categories,
+    parks,
+    alertsOnly: Boolean(input.alertsOnly),
+    template: input.template || null,
+    unsubscribeToken: crypto.randomBytes(24).toString('hex'),
+    createdAt: new Date().toISOString()
+  };
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  listSubscribers,
+  addSubscriber,
+  removeSubscriber,
+  findByUnsubscribeToken,
+  unsubscribe,
+  getRecipients,
+  personalizeBrief,
+  isValidEmail
+};
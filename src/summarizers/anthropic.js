@@ -0,0 +1,32 @@
+const axios = require('axios');
+
+const API_URL = process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages';
+const MODEL = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+const API_VERSION = process.env.ANTHROPIC_VERSION || '2023-06-01';
+
+async function complete(prompt, maxTokens) {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    throw new Error('Anthropic summarizer needs ANTHROPIC_API_KEY');
+  }
+
+  const response = await axios.post(API_URL, {
+    model: MODEL,
+    max_tokens: maxTokens,
+    messages: [{ role: 'user', content: prompt }]
+  }, {
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': API_VERSION
+    },
+    timeout: 30000
+  });
+
+  const { content, usage } = response.data;
+  return {
+    text: content.filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+    tokens: usage ? usage.input_tokens + usage.output_tokens : null
+  };
+}
+
+module.exports = { name: 'anthropic', complete };
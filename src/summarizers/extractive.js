@@ -0,0 +1,68 @@
+// Deterministic offline summarizer: picks sentences from the articles themselves, no network calls
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'new', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'will', 'with'
+]);
+
+function summarizeStory(article) {
+  const sentences = splitSentences(article.summary || '');
+  const sentence = sentences.find(candidate => candidate.split(/\s+/).length >= 6) || article.title;
+  return finishSentence(truncateWords(sentence, 30));
+}
+
+// Scores each story's lead sentence by how many of its terms other stories share, then keeps the
+// best three in brief order
+function summarizeBrief(stories) {
+  const candidates = stories.map((story, index) => {
+    const text = summarizeStory(story);
+    return { index, text, terms: new Set(terms(text)) };
+  });
+
+  const documentFrequency = new Map();
+  for (const candidate of candidates) {
+    for (const term of candidate.terms) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const scored = candidates.map(candidate => {
+    const shared = [...candidate.terms].reduce((sum, term) => sum + documentFrequency.get(term) - 1, 0);
+    const score = shared / Math.max(candidate.terms.size, 1) + 1 / (candidate.index + 1);
+    return { ...candidate, score };
+  });
+
+  const selected = scored
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, 3)
+    .sort((a, b) => a.index - b.index);
+
+  const lead = `Today's brief covers ${stories.length} ${stories.length === 1 ? 'story' : 'stories'} from across the theme park and themed experience industry.`;
+  return [lead, ...selected.map(candidate => candidate.text)].join(' ');
+}
+
+function splitSentences(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+(?=[A-Z"“])/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function terms(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9']+/)
+    .filter(term => term.length > 2 && !STOPWORDS.has(term));
+}
+
+function truncateWords(text, maxWords) {
+  const words = text.split(/\s+/);
+  return words.length > maxWords ? `${words.slice(0, maxWords).join(' ')}...` : text;
+}
+
+function finishSentence(text) {
+  return /[.!?…]$/.test(text) ? text : `${text}.`;
+}
+
+module.exports = { name: 'extractive', summarizeStory, summarizeBrief };
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('../storage');
+const { briefPrompt, storyPrompt, estimateTokens } = require('./prompts');
+const extractive = require('./extractive');
+
+const providers = {
+  anthropic: require('./anthropic'),
+  openai: require('./openai')
+};
+
+const CACHE_FILE = dataPath('summary-cache.json');
+const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const TOKEN_BUDGET = parseInt(process.env.SUMMARY_TOKEN_BUDGET, 10) || 20000;
+
+function getProviderName() {
+  return process.env.SUMMARIZER || (process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'extractive');
+}
+
+// One summarizer per brief run: it shares a token budget across every call and reuses
+// summaries cached by earlier runs. Anything over budget or failing falls back to extractive.
+function createSummarizer(options = {}) {
+  const providerName = options.provider || getProviderName();
+  if (providerName !== 'extractive' && !providers[providerName]) {
+    throw new Error(`Unknown SUMMARIZER "${providerName}" (expected one of: extractive, ${Object.keys(providers).join(', ')})`);
+  }
+
+  const provider = providers[providerName];
+  const usage = { provider: providerName, tokens: 0, calls: 0, cacheHits: 0, fallbacks: 0 };
+  let remaining = options.budget === undefined ? TOKEN_BUDGET : options.budget;
+  let cache = null;
+  let providerFailed = false;
+
+  async function loadCache() {
+    if (!cache) {
+      const cutoff = Date.now() - CACHE_TTL_MS;
+      const stored = await readJson(CACHE_FILE, {});
+      cache = Object.fromEntries(Object.entries(stored).filter(([, entry]) => new Date(entry.createdAt).getTime() > cutoff));
+    }
+    return cache;
+  }
+
+  async function generate(key, prompt, maxTokens, fallback) {
+    await loadCache();
+    if (cache[key]) {
+      usage.cacheHits++;
+      return cache[key].text;
+    }
+
+    if (!provider || providerFailed) {
+      return fallback();
+    }
+
+    const estimate = estimateTokens(prompt) + maxTokens;
+    if (estimate > remaining) {
+      usage.fallbacks++;
+      console.warn(`Summary token budget exhausted (${remaining} left), using extractive summary`);
+      return fallback();
+    }
+
+    try {
+      const result = await provider.complete(prompt, maxTokens);
+      const tokens = result.tokens || estimate;
+      remaining -= tokens;
+      usage.tokens += tokens;
+      usage.calls++;
+
+      cache[key] = { text: result.text, provider: providerName, tokens, createdAt: new Date().toISOString() };
+      return result.text;
+    } catch (error) {
+      // Stop calling a provider that is down for the rest of this run
+      providerFailed = true;
+      usage.fallbacks++;
+      console.error(`${providerName} summarizer failed, using extractive summaries for this run:`, error.message);
+      return fallback();
+    }
+  }
+
+  async function summarizeStories(articles) {
+    const summarized = [];
+    for (const article of articles) {
+      const summary = await generate(
+        `story:${providerName}:${article.id}`,
+        storyPrompt(article),
+        100,
+        () => extractive.summarizeStory(article)
+      );
+      summarized.push({ ...article, excerpt: article.summary, summary });
+    }
+
+    await saveCache();
+    return summarized;
+  }
+
+  async function summarizeBrief(stories) {
+    const ids = stories.map(story => story.id).join(',');
+    const key = `brief:${providerName}:${crypto.createHash('sha256').update(ids).digest('hex').substring(0, 16)}`;
+    const summary = await generate(key, briefPrompt(stories), 400, () => extractive.summarizeBrief(stories));
+
+    await saveCache();
+    return summary;
+  }
+
+  async function saveCache() {
+    if (cache) await writeJson(CACHE_FILE, cache);
+  }
+
+  return { summarizeStories, summarizeBrief, usage };
+}
+
+module.exports = { createSummarizer };
@@ -0,0 +1,26 @@
+const axios = require('axios');
+
+// Any server speaking the OpenAI chat completions API, e.g. a local llama.cpp, vLLM or Ollama instance
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/$/, '');
+const MODEL = process.env.OPENAI_MODEL || 'default';
+
+async function complete(prompt, maxTokens) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.OPENAI_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+  }
+
+  const response = await axios.post(`${BASE_URL}/chat/completions`, {
+    model: MODEL,
+    max_tokens: maxTokens,
+    messages: [{ role: 'user', content: prompt }]
+  }, { headers, timeout: 60000 });
+
+  const { choices, usage } = response.data;
+  return {
+    text: choices[0].message.content.trim(),
+    tokens: usage ? usage.prompt_tokens + usage.completion_tokens : null
+  };
+}
+
+module.exports = { name: 'openai', complete };
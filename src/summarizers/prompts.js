@@ -0,0 +1,15 @@
+function briefPrompt(stories) {
+  const storyList = stories.map(story => `- ${story.title}${story.summary ? `: ${story.summary}` : ''}`).join('\n');
+  return `Write a professional 3-paragraph "Today at a Glance" summary for these theme park news stories. Use 6th grade reading level and journalistic tone. Reply with the summary only.\n\n${storyList}`;
+}
+
+function storyPrompt(article) {
+  return `Summarize this theme park news story in one plain sentence of at most 30 words. Do not add facts that are not given. Reply with the sentence only.\n\nHeadline: ${article.title}\nSource: ${article.source}${article.summary ? `\nExcerpt: ${article.summary}` : ''}`;
+}
+
+// Rough token count for budgeting before a call; providers report exact usage afterwards
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+module.exports = { briefPrompt, storyPrompt, estimateTokens };
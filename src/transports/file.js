@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, ensureDir } = require('../storage');
+
+const OUTBOX_DIR = process.env.OUTBOX_DIR || dataPath('outbox');
+
+// Writes each message to the outbox directory as an .eml file instead of delivering it
+async function send(message) {
+  await ensureDir(OUTBOX_DIR);
+  
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const messageId = `${timestamp}-${crypto.randomBytes(4).toString('hex')}`;
+  const file = path.join(OUTBOX_DIR, `${messageId}.eml`);
+  
+  await fs.promises.writeFile(file, message.raw);
+  console.log(`Wrote message to ${file}`);
+  
+  return { messageId, path: file };
+}
+
+module.exports = { name: 'file', send };
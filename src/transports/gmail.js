@@ -0,0 +1,60 @@
+const { google } = require('googleapis');
+
+const REQUIRED_ENV = ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'GOOGLE_REFRESH_TOKEN'];
+
+let oAuth2Client = null;
+
+async function authorize() {
+  const missing = REQUIRED_ENV.filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Gmail transport is missing credentials: set ${missing.join(', ')} or choose another EMAIL_TRANSPORT`);
+  }
+  
+  if (!oAuth2Client) {
+    oAuth2Client = new google.auth.OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/auth/callback'
+    );
+    
+    oAuth2Client.setCredentials({
+      access_token: process.env.GOOGLE_ACCESS_TOKEN,
+      refresh_token: process.env.GOOGLE_REFRESH_TOKEN,
+      scope: 'https://www.googleapis.com/auth/gmail.send',
+      token_type: 'Bearer'
+    });
+    
+    // The client refreshes expired access tokens itself; log it so stale env tokens are visible
+    oAuth2Client.on('tokens', tokens => {
+      const expires = tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : 'unknown';
+      console.log(`Refreshed Gmail access token (expires ${expires})`);
+    });
+  }
+  
+  // Resolve the token up front so a revoked refresh token fails here with a clear message
+  try {
+    await oAuth2Client.getAccessToken();
+  } catch (error) {
+    const reason = (error.response && error.response.data && error.response.data.error_description) || error.message;
+    oAuth2Client = null;
+    throw new Error(`Gmail authorization failed: ${reason}. Check GOOGLE_REFRESH_TOKEN and the OAuth client settings.`);
+  }
+  
+  return oAuth2Client;
+}
+
+async function send(message) {
+  const auth = await authorize();
+  const gmail = google.gmail({ version: 'v1', auth });
+  
+  const result = await gmail.users.messages.send({
+    userId: 'me',
+    requestBody: {
+      raw: Buffer.from(message.raw).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''),
+    },
+  });
+  
+  return { ...result.data, messageId: result.data.id };
+}
+
+module.exports = { name: 'gmail', send, authorize };
@@ -0,0 +1,16 @@
+const transports = {
+  gmail: require('./gmail'),
+  smtp: require('./smtp'),
+  file: require('./file')
+};
+
+// Every transport exposes send({ from, to, raw }) and resolves to at least { messageId }
+function getTransport(name = process.env.EMAIL_TRANSPORT || 'gmail') {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(transports).join(', ')})`);
+  }
+  return transport;
+}
+
+module.exports = { getTransport };
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 1025;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+}
+
+async function send(message) {
+  // The message is already fully built, so hand nodemailer the raw source and an explicit envelope
+  const info = await getTransporter().sendMail({
+    envelope: { from: message.from, to: message.to },
+    raw: message.raw
+  });
+  
+  return { messageId: info.messageId, response: info.response };
+}
+
+module.exports = { name: 'smtp', send };
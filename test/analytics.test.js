@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-test-'));
+const { toCsv } = require('../src/analytics');
+
+test('the CSV export quotes fields and keeps scraped text from running as a formula', () => {
+  const csv = toCsv({
+    days: [{
+      date: '2026-10-19',
+      articles: 4,
+      counts: {
+        source: { '=HYPERLINK("http://evil.test","click")': 3, 'Orlando Sentinel': 2, '@cmd': 1 },
+        term: { '+1 ride': 2, '-2 parks': 1, 'fireworks, "new"': 1 }
+      }
+    }]
+  });
+
+  assert.strictEqual(csv, [
+    'date,dimension,key,count',
+    '2026-10-19,articles,,4',
+    '2026-10-19,source,"\'=HYPERLINK(""http://evil.test"",""click"")",3',
+    '2026-10-19,source,Orlando Sentinel,2',
+    '2026-10-19,source,\'@cmd,1',
+    '2026-10-19,term,\'+1 ride,2',
+    '2026-10-19,term,\'-2 parks,1',
+    '2026-10-19,term,"fireworks, ""new""",1',
+    ''
+  ].join('\r\n'));
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
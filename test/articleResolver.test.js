@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The resolved-link cache lives in DATA_DIR; keep it away from the real one
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'resolver-test-'));
+const { needsResolution, resolveArticle } = require('../src/articleResolver');
+
+const PAGES_DIR = path.join(__dirname, '..', 'fixtures', 'pages');
+const GOOGLE_URL = 'https://news.google.com/rss/articles/CBMiTGh0dHBzOi8vd3d3LmV4YW1wbGUuY29t?oc=5';
+
+// Serves saved pages in place of the network, the way a snapshot replay does. `pages` maps each
+// URL to the fixture file it returns and, for redirects, the URL the request ended up at.
+function replayPages(pages) {
+  return {
+    id: 'test',
+    mode: 'replay',
+    async replay(url) {
+      const page = pages[url];
+      if (!page) throw new Error(`Unexpected fetch of ${url}`);
+      const data = page.html || fs.readFileSync(path.join(PAGES_DIR, page.file), 'utf8');
+      return { url, finalUrl: page.finalUrl || url, status: 200, data, notModified: false };
+    }
+  };
+}
+
+const CASES = [
+  {
+    name: 'Google News interstitial, then a page with Open Graph tags',
+    pages: {
+      [GOOGLE_URL]: { file: 'google-news-interstitial.html' },
+      'https://www.orlandosentinel.com/2026/10/18/epic-universe-holiday-hours/': { file: 'publisher-og.html' }
+    },
+    expected: {
+      url: 'https://www.orlandosentinel.com/2026/10/18/epic-universe-holiday-hours/',
+      title: 'Epic Universe extends hours for the holiday season',
+      author: 'Dewayne Bevil',
+      publishedAt: '2026-10-18T14:00:00.000Z',
+      siteName: 'Orlando Sentinel'
+    }
+  },
+  {
+    name: 'redirect straight to a page with JSON-LD and a relative canonical link',
+    pages: {
+      [GOOGLE_URL]: {
+        file: 'publisher-jsonld.html',
+        finalUrl: 'https://www.coaster101.com/2026/10/18/cedar-point-2027-launched-coaster/?utm_source=google'
+      }
+    },
+    expected: {
+      url: 'https://www.coaster101.com/2026/10/18/cedar-point-2027-launched-coaster/',
+      title: 'Cedar Point confirms record-breaking launched coaster for 2027',
+      author: 'Bill Linkenheimer',
+      publishedAt: '2026-10-18T11:30:00.000Z',
+      siteName: 'Coaster101'
+    }
+  },
+  {
+    name: 'meta refresh interstitial',
+    pages: {
+      [GOOGLE_URL]: { file: 'google-news-refresh.html' },
+      'https://www.coaster101.com/2026/10/18/cedar-point-2027-launched-coaster/': { file: 'publisher-jsonld.html' }
+    },
+    expected: {
+      url: 'https://www.coaster101.com/2026/10/18/cedar-point-2027-launched-coaster/',
+      title: 'Cedar Point confirms record-breaking launched coaster for 2027',
+      author: 'Bill Linkenheimer',
+      publishedAt: '2026-10-18T11:30:00.000Z',
+      siteName: 'Coaster101'
+    }
+  },
+  {
+    name: 'page with only a title, a canonical link and a <time>',
+    pages: {
+      [GOOGLE_URL]: { file: 'publisher-canonical-only.html', finalUrl: 'https://meowwolf.com/press/next-permanent-exhibition?ref=gn' }
+    },
+    expected: {
+      url: 'https://meowwolf.com/press/next-permanent-exhibition',
+      title: 'Meow Wolf announces its next permanent exhibition',
+      author: null,
+      publishedAt: '2026-10-17T18:00:00.000Z',
+      siteName: null
+    }
+  }
+];
+
+for (const { name, pages, expected } of CASES) {
+  test(`resolves ${name}`, async () => {
+    const { url, metadata } = await resolveArticle(GOOGLE_URL, { snapshot: replayPages(pages) });
+    assert.deepStrictEqual(
+      { url, title: metadata.title, author: metadata.author, publishedAt: metadata.publishedAt, siteName: metadata.siteName },
+      expected
+    );
+  });
+}
+
+test('fails when a Google News page links only to Google', async () => {
+  const html = '<html><body><a href="https://accounts.google.com/ServiceLogin">Sign in</a><a href="./topics/abc">Top stories</a></body></html>';
+  await assert.rejects(
+    resolveArticle(GOOGLE_URL, { snapshot: replayPages({ [GOOGLE_URL]: { html } }) }),
+    /No publisher link found/
+  );
+});
+
+test('only news.google.com links need resolving', () => {
+  assert.strictEqual(needsResolution({ url: GOOGLE_URL }), true);
+  assert.strictEqual(needsResolution({ url: 'https://www.orlandosentinel.com/2026/10/18/story/' }), false);
+  assert.strictEqual(needsResolution({ url: 'not a url' }), false);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+const HISTORY_FILE = path.join(process.env.DATA_DIR, 'article-history.jsonl');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function article(id) {
+  return { id, title: `Story ${id}`, source: 'Test', url: `https://example.com/${id}` };
+}
+
+function readHistoryFile() {
+  const records = new Map();
+  for (const line of fs.readFileSync(HISTORY_FILE, 'utf8').split('\n').filter(Boolean)) {
+    const record = JSON.parse(line);
+    records.set(record.id, record);
+  }
+  return records;
+}
+
+test('appends made while the history is being compacted are kept', async () => {
+  const expired = { ...article('old'), firstSeenAt: new Date(Date.now() - 60 * DAY_MS).toISOString(), inBrief: false };
+  const current = { ...article('current'), firstSeenAt: new Date().toISOString(), inBrief: false };
+  fs.writeFileSync(HISTORY_FILE, [expired, current].map(record => JSON.stringify(record) + '\n').join(''));
+
+  const articleStore = require('../src/articleStore');
+  assert.strictEqual(await articleStore.get('old'), null, 'expired when loaded');
+
+  // Expire a record again so the first save compacts while the others wait to append
+  (await articleStore.get('current')).firstSeenAt = new Date(Date.now() - 60 * DAY_MS).toISOString();
+  await Promise.all([
+    articleStore.recordSeen([article('a1'), article('a2')]),
+    articleStore.recordSeen([article('b1')]),
+    articleStore.markInBrief([article('a1'), article('c1')]),
+    articleStore.recordSeen([article('d1')])
+  ]);
+
+  const saved = readHistoryFile();
+  assert.deepStrictEqual([...saved.keys()].sort(), ['a1', 'a2', 'b1', 'c1', 'd1']);
+  assert.strictEqual(saved.get('a1').inBrief, true);
+  assert.strictEqual(saved.get('c1').inBrief, true);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// A copy of config/ whose channels are all enabled and point at the stand-in server below
+const CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'channels-test-'));
+fs.cpSync(path.join(__dirname, '..', 'config'), CONFIG_DIR, { recursive: true });
+fs.writeFileSync(path.join(CONFIG_DIR, 'channels.json'), JSON.stringify({
+  channels: [
+    { id: 'slack', type: 'slack', urlEnv: 'TEST_SLACK_URL', events: ['brief', 'alert'] },
+    { id: 'discord', type: 'discord', urlEnv: 'TEST_DISCORD_URL', events: ['brief', 'alert'] },
+    { id: 'teams', type: 'teams', urlEnv: 'TEST_TEAMS_URL', events: ['brief'] }
+  ]
+}));
+process.env.CONFIG_DIR = CONFIG_DIR;
+process.env.CHANNEL_RETRIES = '2';
+process.env.CHANNEL_RETRY_BASE_MS = '40';
+
+const channels = require('../src/channels');
+const sampleBrief = require(path.join(__dirname, '..', 'fixtures', 'sample-brief.json'));
+
+// Answers each webhook path with its queued responses in turn (200 once they run out) and
+// records every request it gets
+const requests = [];
+let queued = {};
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ path: req.url, at: Date.now(), contentType: req.headers['content-type'], body: JSON.parse(body) });
+    const { status = 200, headers = {}, json = null } = (queued[req.url] || []).shift() || {};
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(json ? JSON.stringify(json) : '');
+  });
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.TEST_SLACK_URL = `${base}/slack`;
+  process.env.TEST_DISCORD_URL = `${base}/discord`;
+  process.env.TEST_TEAMS_URL = `${base}/teams`;
+});
+
+test.beforeEach(() => {
+  requests.length = 0;
+  queued = {};
+});
+
+function requestsTo(webhook) {
+  return requests.filter(request => request.path === webhook);
+}
+
+function waited(webhook) {
+  const [first, second] = requestsTo(webhook);
+  return second.at - first.at;
+}
+
+test('a 429 is retried after Retry-After, retry_after or the backoff, then each brief is posted', async () => {
+  queued = {
+    '/slack': [{ status: 429, headers: { 'Retry-After': '0.15' } }],
+    '/discord': [{ status: 429, json: { message: 'You are being rate limited.', retry_after: 0.1 } }],
+    '/teams': [{ status: 429 }]
+  };
+
+  const results = await channels.postBrief(sampleBrief);
+
+  assert.deepStrictEqual(results, [
+    { channel: 'slack', ok: true, status: 200 },
+    { channel: 'discord', ok: true, status: 200 },
+    { channel: 'teams', ok: true, status: 200 }
+  ]);
+  for (const webhook of ['/slack', '/discord', '/teams']) {
+    assert.strictEqual(requestsTo(webhook).length, 2, `${webhook} was posted once more after its 429`);
+    assert.deepStrictEqual(requestsTo(webhook)[1].body, requestsTo(webhook)[0].body, `${webhook} got the same payload again`);
+  }
+  assert.ok(waited('/slack') >= 140, `waited ${waited('/slack')}ms for a Retry-After of 0.15s`);
+  assert.ok(waited('/discord') >= 90, `waited ${waited('/discord')}ms for a retry_after of 0.1s`);
+  assert.ok(waited('/teams') >= 35, `waited ${waited('/teams')}ms for the 40ms backoff`);
+});
+
+test('each channel gets its own JSON payload for a brief', async () => {
+  await channels.postBrief(sampleBrief);
+  const [slack, discord, teams] = ['/slack', '/discord', '/teams'].map(webhook => requestsTo(webhook)[0]);
+  const headline = sampleBrief.topStories[0].title;
+
+  for (const request of [slack, discord, teams]) assert.match(request.contentType, /^application\/json/);
+
+  assert.match(slack.body.text, /^Theme Park News Brief/);
+  assert.strictEqual(slack.body.blocks[0].type, 'header');
+  assert.ok(slack.body.blocks.some(block => block.text && block.text.text.includes(headline)), 'Slack lists the top story');
+
+  assert.strictEqual(discord.body.username, 'Theme Park News Brief');
+  assert.ok(discord.body.embeds.length > 0 && discord.body.embeds.length <= 10);
+  assert.ok(JSON.stringify(discord.body.embeds).includes(headline), 'Discord lists the top story');
+
+  assert.strictEqual(teams.body.type, 'message');
+  const [attachment] = teams.body.attachments;
+  assert.strictEqual(attachment.contentType, 'application/vnd.microsoft.card.adaptive');
+  assert.strictEqual(attachment.content.type, 'AdaptiveCard');
+  assert.ok(JSON.stringify(attachment.content.body).includes(headline), 'Teams lists the top story');
+});
+
+test('alerts go only to channels that take alerts', async () => {
+  const story = sampleBrief.topStories[0];
+  const results = await channels.postAlert(story);
+
+  assert.deepStrictEqual(results.map(result => result.channel), ['slack', 'discord']);
+  assert.strictEqual(requestsTo('/teams').length, 0);
+  assert.match(requestsTo('/slack')[0].body.text, /^Theme Park News Alert: /);
+  assert.strictEqual(requestsTo('/discord')[0].body.embeds[0].title, story.title);
+  assert.strictEqual(requestsTo('/discord')[0].body.embeds[0].url, story.url);
+});
+
+test('a channel still rate limited after CHANNEL_RETRIES fails without stopping the others', async () => {
+  queued = { '/slack': Array(5).fill({ status: 429, headers: { 'Retry-After': '0.01' } }) };
+
+  const results = await channels.postBrief(sampleBrief);
+
+  assert.strictEqual(requestsTo('/slack').length, 3, 'one post and two retries');
+  assert.deepStrictEqual(results[0], { channel: 'slack', ok: false, status: 429, error: 'Request failed with status code 429' });
+  assert.deepStrictEqual(results.slice(1).map(result => result.ok), [true, true]);
+});
+
+test('other failures are not retried', async () => {
+  queued = { '/discord': [{ status: 400, json: { message: 'Invalid Form Body' } }] };
+
+  const results = await channels.postBrief(sampleBrief);
+
+  assert.strictEqual(requestsTo('/discord').length, 1);
+  assert.strictEqual(results[1].status, 400);
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(CONFIG_DIR, { recursive: true, force: true });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'events-test-'));
+process.env.BRIEF_TIMEZONE = 'America/Los_Angeles';
+const events = require('../src/events');
+const { buildCalendar } = require('../src/calendar');
+
+// Saved articles, each with the events expected from it (`expected`: [{ type, date, endDate? }])
+// and optionally `now`, the time to extract as of; it defaults to the article's publishedAt
+const FIXTURES = require(path.join(__dirname, '..', 'fixtures', 'events.json'));
+
+function describe(event) {
+  return `${event.type} ${event.date}${event.endDate ? `..${event.endDate}` : ''}`;
+}
+
+FIXTURES.forEach((fixture, index) => {
+  test(`events in "${fixture.title}"`, () => {
+    const article = { id: `fixture-${index}`, url: `https://example.com/${index}`, entities: [], ...fixture };
+    const found = events.extractEvents(article, new Date(fixture.now || fixture.publishedAt));
+    assert.deepStrictEqual(found.map(describe).sort(), fixture.expected.map(describe).sort());
+  });
+});
+
+// The calendar's physical lines, and its logical ones with the folding undone
+function calendarLines(body) {
+  assert.ok(body.endsWith('\r\n'));
+  assert.ok(!/[^\r]\n/.test(body), 'bare LF in calendar');
+  const physical = body.slice(0, -2).split('\r\n');
+  const logical = body.slice(0, -2).replace(/\r\n /g, '').split('\r\n');
+  return { physical, logical };
+}
+
+test('calendar lines are escaped and folded at 75 octets without splitting characters', async () => {
+  const title = 'Épcot’s “Festival of the Holidays” returns; kitchens, carolers and a new show 🎄 \\ more, all season long';
+  fs.writeFileSync(path.join(process.env.DATA_DIR, 'events.json'), JSON.stringify([{
+    id: 'abc123',
+    type: 'festival',
+    date: '2026-11-27',
+    endDate: '2026-12-30',
+    articleId: 'article-1',
+    articleTitle: title,
+    url: 'https://example.com/festival-of-the-holidays',
+    source: 'WDW News Today',
+    entities: [],
+    context: 'The festival runs Nov. 27 through Dec. 30',
+    firstSeenAt: '2026-10-16T14:00:00.000Z'
+  }]));
+
+  const calendar = await buildCalendar();
+  assert.strictEqual(calendar.contentType, 'text/calendar; charset=utf-8');
+  assert.strictEqual(calendar.lastModified.toISOString(), '2026-10-16T14:00:00.000Z');
+
+  const { physical, logical } = calendarLines(calendar.body);
+  for (const line of physical) {
+    assert.ok(Buffer.byteLength(line) <= 75, `line longer than 75 octets: ${line}`);
+    assert.strictEqual(Buffer.from(line).toString('utf8'), line, `split character in: ${line}`);
+  }
+  assert.ok(physical.some(line => line.startsWith(' ')), 'the long summary is folded');
+
+  assert.deepStrictEqual(logical.filter(line => /^(SUMMARY|DESCRIPTION|DTSTART|DTEND|UID|URL|CATEGORIES)[:;]/.test(line)), [
+    'UID:abc123@theme-park-news-brief',
+    'DTSTART;VALUE=DATE:20261127',
+    'DTEND;VALUE=DATE:20261231',
+    'SUMMARY:Event: Épcot’s “Festival of the Holidays” returns\\; kitchens\\, carolers and a new show 🎄 \\\\ more\\, all season long',
+    'DESCRIPTION:The festival runs Nov. 27 through Dec. 30\\n\\nSource: WDW News Today\\nhttps://example.com/festival-of-the-holidays',
+    'URL:https://example.com/festival-of-the-holidays',
+    'CATEGORIES:Event'
+  ]);
+  assert.deepStrictEqual([logical[0], logical[logical.length - 1]], ['BEGIN:VCALENDAR', 'END:VCALENDAR']);
+});
+
+test('calendar rejects unknown event types', async () => {
+  await assert.rejects(buildCalendar({ types: ['parade'] }), error => error.status === 400);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+
+process.env.EMAIL_FROM = 'brief@example.com';
+process.env.EMAIL_FROM_NAME = 'Theme Park News Brief';
+
+const { buildMessage, encodeHeaderValue, encodeQuotedPrintable } = require('../src/mimeBuilder');
+const { createRawEmail } = require('../src/emailSender');
+const { matchSnapshot } = require('./support/snapshot');
+const sampleBrief = require(path.join(__dirname, '..', 'fixtures', 'sample-brief.json'));
+
+const FIXED = {
+  date: new Date('2026-10-19T15:00:00Z'),
+  messageId: '<sample.0001@example.com>',
+  boundary: '----=_Brief_sample'
+};
+
+function decodeWords(value) {
+  return value.split(/\r\n /).map(word => {
+    const match = /^=\?UTF-8\?B\?([^?]+)\?=$/.exec(word);
+    assert.ok(match, `not an encoded-word: ${word}`);
+    return Buffer.from(match[1], 'base64').toString('utf8');
+  }).join('');
+}
+
+function decodeQuotedPrintable(value) {
+  const joined = value.replace(/=\r\n/g, '');
+  const bytes = [];
+  for (let index = 0; index < joined.length; index++) {
+    if (joined[index] === '=') {
+      bytes.push(parseInt(joined.slice(index + 1, index + 3), 16));
+      index += 2;
+    } else {
+      bytes.push(joined.charCodeAt(index));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// The two parts of a multipart/alternative message, split on its boundary
+function parts(raw, boundary) {
+  const body = raw.slice(raw.indexOf('\r\n\r\n') + 4);
+  const sections = body.split(`--${boundary}`);
+  assert.strictEqual(sections[sections.length - 1], '--\r\n', 'missing the closing boundary');
+  return sections.slice(1, -1).map(section => {
+    const [headers, ...content] = section.replace(/^\r\n/, '').split('\r\n\r\n');
+    return { headers, content: content.join('\r\n\r\n').replace(/\r\n$/, '') };
+  });
+}
+
+test('sample brief renders to the same message as its snapshot', () => {
+  const raw = createRawEmail(sampleBrief, {
+    to: { name: 'Zoë Example', email: 'reader@example.com' },
+    timeZone: 'America/Los_Angeles',
+    unsubscribeUrl: 'https://brief.example.com/unsubscribe/token123',
+    message: FIXED
+  });
+  matchSnapshot('sample-brief.eml', raw);
+});
+
+test('every line of the message ends in CRLF and stays within 78 characters', () => {
+  const raw = createRawEmail(sampleBrief, { to: { name: '', email: 'reader@example.com' }, timeZone: 'UTC', message: FIXED });
+  assert.ok(!/[^\r]\n/.test(raw), 'bare LF in message');
+  for (const line of raw.split('\r\n')) assert.ok(line.length <= 78, `line too long: ${line}`);
+});
+
+test('the body has a text/plain part then a text/html part, both quoted-printable', () => {
+  const raw = buildMessage({ from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'Plain café', html: '<p>Rich café</p>', ...FIXED });
+  assert.match(raw, /^Content-Type: multipart\/alternative; boundary="----=_Brief_sample"$/m);
+
+  const [text, html] = parts(raw, FIXED.boundary);
+  assert.match(text.headers, /Content-Type: text\/plain; charset="UTF-8"/);
+  assert.match(text.headers, /Content-Transfer-Encoding: quoted-printable/);
+  assert.strictEqual(decodeQuotedPrintable(text.content), 'Plain café');
+  assert.match(html.headers, /Content-Type: text\/html; charset="UTF-8"/);
+  assert.strictEqual(decodeQuotedPrintable(html.content), '<p>Rich café</p>');
+});
+
+test('generated boundaries differ between messages', () => {
+  const options = { from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'x', html: 'y' };
+  const boundaries = [buildMessage(options), buildMessage(options)].map(raw => /boundary="([^"]+)"/.exec(raw)[1]);
+  assert.notStrictEqual(boundaries[0], boundaries[1]);
+  assert.match(boundaries[0], /^----=_Brief_[0-9a-f]{24}$/);
+});
+
+test('quoted-printable wraps long lines with soft breaks and round-trips', () => {
+  const line = `${'Épic Universe '.repeat(12)}= done `;
+  const encoded = encodeQuotedPrintable(line);
+  for (const physical of encoded.split('\r\n')) assert.ok(physical.length <= 76, `QP line too long: ${physical}`);
+  assert.ok(encoded.split('\r\n').slice(0, -1).every(physical => physical.endsWith('=')), 'wrapped lines end in a soft break');
+  assert.match(encoded, /=3D/);
+  assert.match(encoded, /=20$/, 'trailing space is encoded');
+  assert.strictEqual(decodeQuotedPrintable(encoded), line);
+});
+
+test('quoted-printable keeps hard line breaks as CRLF', () => {
+  assert.strictEqual(encodeQuotedPrintable('one\ntwo\r\nthree'), 'one\r\ntwo\r\nthree');
+});
+
+test('ASCII headers are left alone and others become RFC 2047 encoded-words', () => {
+  assert.strictEqual(encodeHeaderValue('Theme Park News Brief'), 'Theme Park News Brief');
+  assert.strictEqual(encodeHeaderValue('line\r\nbreak'), 'line break');
+
+  const subject = 'Épic Universe ✨ opens 🎢 '.repeat(4).trim();
+  const encoded = encodeHeaderValue(subject);
+  for (const word of encoded.split('\r\n ')) assert.ok(word.length <= 75, `encoded-word too long: ${word}`);
+  assert.strictEqual(decodeWords(encoded), subject);
+});
+
+test('non-ASCII display names are encoded and ASCII ones quoted', () => {
+  const raw = buildMessage({ from: { name: 'Brief "Desk"', email: 'a@example.com' }, to: { name: 'Zoë', email: 'z@example.com' }, subject: 'Hi', text: 'x', html: 'y', ...FIXED });
+  assert.match(raw, /^From: "Brief \\"Desk\\"" <a@example\.com>$/m);
+  assert.match(raw, /^To: =\?UTF-8\?B\?Wm/m);
+  assert.match(raw, /^Date: Mon, 19 Oct 2026 15:00:00 \+0000$/m);
+  assert.match(raw, /^Message-ID: <sample\.0001@example\.com>$/m);
+});
+
+test('addresses with line breaks are refused and display names flattened', () => {
+  const message = { from: 'a@example.com', subject: 'Hi', text: 'x', html: 'y', ...FIXED };
+  assert.throws(() => buildMessage({ ...message, to: 'victim@example.com\r\nBcc: x@evil.test' }), /Invalid email address/);
+  assert.throws(() => buildMessage({ ...message, to: { name: 'Victim', email: 'victim@example.com\nBcc: x@evil.test' } }), /Invalid email address/);
+
+  const raw = buildMessage({ ...message, to: { name: 'Victim\r\nBcc: x@evil.test', email: 'victim@example.com' } });
+  assert.doesNotMatch(raw, /^Bcc:/m);
+  assert.match(raw, /^To: "Victim Bcc: x@evil\.test" <victim@example\.com>$/m);
+});
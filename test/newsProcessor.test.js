@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'news-test-'));
+const { isAlertWorthy } = require('../src/newsProcessor');
+
+test('safety words make a story alert-worthy', () => {
+  assert.strictEqual(isAlertWorthy('Guests evacuated after fire at Magic Kingdom attraction', ''), true);
+  assert.strictEqual(isAlertWorthy('Coaster train derailed at Six Flags', ''), true);
+  assert.strictEqual(isAlertWorthy('Ride closed', 'Two guests were treated for injuries; an emergency crew responded.'), true);
+});
+
+test('words that only contain a safety word do not', () => {
+  assert.strictEqual(isAlertWorthy('Epic Universe adds nightly fireworks for the holidays', 'A new firework show debuts this weekend.'), false);
+  assert.strictEqual(isAlertWorthy('Harry Potter and the Deathly Hallows ride gets a refresh', ''), false);
+  assert.strictEqual(isAlertWorthy('Busch Gardens unveils Firefly coaster', 'Emergencyville pop-up opens'), false);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+const SNAPSHOTS_DIR = path.join(__dirname, '..', '__snapshots__');
+
+// Compares `actual` with test/__snapshots__/<name>. A missing snapshot is written (except under
+// CI, where it fails), as is every snapshot when UPDATE_SNAPSHOTS=1; review the diff before
+// committing it.
+function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOTS_DIR, name);
+  const missing = !fs.existsSync(file);
+  if (missing && process.env.CI && process.env.UPDATE_SNAPSHOTS !== '1') {
+    assert.fail(`Snapshot ${name} is missing; run the tests locally to write it`);
+  }
+  if (process.env.UPDATE_SNAPSHOTS === '1' || missing) {
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), `${name} no longer matches its snapshot (UPDATE_SNAPSHOTS=1 to accept)`);
+}
+
+module.exports = { matchSnapshot };